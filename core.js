@@ -0,0 +1,1538 @@
+/* core.js — AnimeRat headless core
+   Everything that doesn't need the DOM: TTL cache + persistent store over an injectable
+   Storage, the rate-limited request queue over an injectable fetch, data providers
+   (Jikan, AniList, fixtures), feed/details loaders and the MyList store.
+   script.js renders by subscribing to the instance's events:
+     feed:loaded   { feed, params, items, page, hasNext, target }
+     list:changed  { type: 'add' | 'update' | 'remove' | 'bulk' | 'reload', entries, source }
+     modal:open    { id }
+     source:changed { dataSource }
+     pick:made     { anime, entry, tries, source }
+     storage:error { key }
+   Loads as a classic script (window.AnimeRatCore), via require('./core.js') in Node,
+   or as an ES module through core.mjs. The page's own instance is window.AnimeRat.
+   Tests: test/core.test.js runs it under Node against a stubbed fetch (npm test).
+*/
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  root.AnimeRatCore = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+'use strict';
+
+/**
+ * @typedef {Object} Anime Internal model: Jikan's field names plus `ids` and `provider` (see normalizeAnime)
+ * @property {number} mal_id
+ * @property {{ mal: number, anilist?: number }} ids
+ * @property {string} provider 'jikan' | 'anilist' | 'fixtures'
+ * @property {string} title
+ * @property {{ jpg: { image_url: string, large_image_url: string } }} images
+ * @property {?number} score
+ * @property {?number} episodes
+ * @property {string} status
+ * @property {?{ day: string, time: string }} broadcast JST slot
+ * @property {Array<{ mal_id: ?number, name: string }>} genres
+ * @property {string} synopsis
+ *
+ * @typedef {Object} ListPage
+ * @property {Anime[]} data
+ * @property {{ has_next_page: boolean, current_page: number }} pagination
+ *
+ * @typedef {Object} ListEntry
+ * @property {string} id mal_id as a string
+ * @property {string} title
+ * @property {string} image
+ * @property {number} totalEpisodes 0 when unknown
+ * @property {string} status one of LIST_STATUSES
+ * @property {number} episodesWatched
+ * @property {number} score 0-10, 0 = unscored
+ * @property {?string} startDate YYYY-MM-DD
+ * @property {?string} finishDate YYYY-MM-DD
+ * @property {number} updatedAt ms
+ *
+ * @typedef {Object} RequestOpts
+ * @property {number} [priority] PRIORITY.high / normal / low
+ * @property {AbortSignal} [signal]
+ *
+ * @typedef {Object} FeedEvent
+ * @property {string} feed key of FEEDS
+ * @property {Object} params
+ * @property {Anime[]} items deduped by mal_id
+ * @property {number} page
+ * @property {boolean} hasNext
+ * @property {*} target whatever the caller passed as opts.target (the UI uses it to pick a container)
+ *
+ * @typedef {Object} CoreOptions
+ * @property {Storage} [storage] anything with getItem/setItem/removeItem/key/length (default: in-memory)
+ * @property {Function} [fetch] fetch(url, init) -> Response-like { ok, status, headers, json() }
+ * @property {Function} [isOnline] () -> boolean; offline failures skip the retry loop
+ * @property {string} [provider] pin a provider for this instance (the page passes ?provider=)
+ * @property {string} [fixtureBase] where the fixtures provider reads its JSON files
+ */
+
+/* ==========================
+   CONFIG
+   ========================== */
+const API_BASE = 'https://api.jikan.moe/v4';
+const ANILIST_GRAPHQL = 'https://graphql.anilist.co';
+const FIXTURE_BASE = 'fixtures/'; // JSON files served next to index.html (offline development)
+const DATA_SOURCE_KEY = 'dataSource'; // { provider, fallback, corsProxy }
+const STORAGE_PREFIX = 'animerat:';
+const CACHE_TTL_MS = 1000 * 60 * 30; // 30 minutes
+const CACHE_STALE_MAX_MS = 1000 * 60 * 60 * 24 * 14; // keep expired entries 2 weeks for offline use
+const PAGE_SIZE = 18;
+const WALK_MAX_PAGES = 60; // fetchAllPages safety cap: 1500 titles at 25 per page, far past any season or schedule
+
+const PRIORITY = { high: 0, normal: 1, low: 2 };
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 600;
+
+const MYLIST_KEY = 'mylist';
+const LIST_STATUSES = ['watching', 'completed', 'on-hold', 'dropped', 'plan-to-watch'];
+const LIST_STATUS_LABELS = {
+  watching: 'Watching', completed: 'Completed', 'on-hold': 'On Hold',
+  dropped: 'Dropped', 'plan-to-watch': 'Plan to Watch',
+};
+
+const PICK_HISTORY_KEY = 'pickHistory';
+const PICK_HISTORY_MAX = 20; // recent picks that won't come up again
+const PICK_MAX_TRIES = 15; // re-rolls / backlog lookups before giving up
+const ADULT_RATING = /^(Rx|R\+)/i;
+const ADULT_GENRE_IDS = [12, 49]; // Hentai, Erotica
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_IMG_BASE = 'https://cdn.myanimelist.net/images/anime/'; // stripped from cover URLs to keep links short
+const LOVED_SCORE = 8; // "they loved it" threshold for snapshot comparisons
+
+const SEARCH_FILTER_KEYS = ['q', 'type', 'status', 'rating', 'min_score', 'max_score', 'genres', 'genres_exclude',
+  'order_by', 'sort', 'year', 'season', 'start_date', 'end_date'];
+const SEASON_RANGES = { winter: ['01-01', '03-31'], spring: ['04-01', '06-30'], summer: ['07-01', '09-30'], fall: ['10-01', '12-31'] };
+const SEASON_NAMES = ['winter', 'spring', 'summer', 'fall'];
+const JST_OFFSET_MS = 9 * 3600 * 1000; // Japan has no DST
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/* ==========================
+   HELPERS (pure)
+   ========================== */
+function nowMs(){ return Date.now(); }
+
+function isQuotaError(e) {
+  return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+}
+
+function abortError() {
+  try { return new DOMException('Request aborted', 'AbortError'); }
+  catch (e) { const err = new Error('Request aborted'); err.name = 'AbortError'; return err; }
+}
+function isAbortError(err) { return !!err && err.name === 'AbortError'; }
+
+/* Local calendar date as YYYY-MM-DD */
+function todayISO(){
+  const d = new Date();
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0,10);
+}
+
+function dedupeById(items, seen = new Set()) {
+  return (items || []).filter(a => {
+    const id = a && a.mal_id;
+    if (!id) return true;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/* Keep only known, non-empty filter values (as strings, like the URL has them) */
+function pickSearchFilters(src = {}) {
+  const out = {};
+  SEARCH_FILTER_KEYS.forEach(k => {
+    const v = src[k];
+    if (v === undefined || v === null || String(v).trim() === '') return;
+    out[k] = String(v).trim();
+  });
+  return out;
+}
+
+/* URL/panel filters -> Jikan /anime params (year + season become a date range) */
+function filtersToParams(filters) {
+  const p = pickSearchFilters(filters);
+  if (p.year && !p.start_date && !p.end_date) {
+    const range = SEASON_RANGES[p.season] || ['01-01', '12-31'];
+    p.start_date = `${p.year}-${range[0]}`;
+    p.end_date = `${p.year}-${range[1]}`;
+  }
+  delete p.year;
+  delete p.season;
+  if (p.sort && !p.order_by) delete p.sort; // sort is meaningless without order_by
+  return p;
+}
+
+function currentSeason(date = new Date()) {
+  return { year: date.getFullYear(), season: SEASON_NAMES[Math.floor(date.getMonth() / 3)] };
+}
+
+function shiftSeason(year, season, delta) {
+  const idx = year * 4 + SEASON_NAMES.indexOf(season) + delta;
+  return { year: Math.floor(idx / 4), season: SEASON_NAMES[((idx % 4) + 4) % 4] };
+}
+
+/* Next broadcast of a Jikan `broadcast` ({ day: 'Saturdays', time: '23:00' }, JST) as a Date */
+function nextBroadcast(broadcast, from = Date.now()) {
+  if (!broadcast || !broadcast.day || !broadcast.time) return null;
+  const dayIdx = WEEKDAYS.findIndex(d => broadcast.day.toLowerCase().startsWith(d.toLowerCase()));
+  const m = /^(\d{1,2}):(\d{2})/.exec(broadcast.time);
+  if (dayIdx < 0 || !m) return null;
+  const jstNow = new Date(from + JST_OFFSET_MS); // read with getUTC* = JST wall clock
+  const diff = (dayIdx - jstNow.getUTCDay() + 7) % 7;
+  let ts = Date.UTC(jstNow.getUTCFullYear(), jstNow.getUTCMonth(), jstNow.getUTCDate() + diff, Number(m[1]), Number(m[2])) - JST_OFFSET_MS;
+  if (ts < from) ts += 7 * 24 * 3600 * 1000;
+  return new Date(ts);
+}
+
+/* Pick one item with probability proportional to weight(item) */
+function weightedChoice(items, weight = () => 1, rand = Math.random) {
+  const weights = items.map(i => Math.max(0, weight(i)) || 0);
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!total) return items[Math.floor(rand() * items.length)] || null;
+  let r = rand() * total;
+  for (let i = 0; i < items.length; i++) { r -= weights[i]; if (r < 0) return items[i]; }
+  return items[items.length - 1];
+}
+
+/* Random-pick constraints: { minScore, maxEpisodes, genres: [mal_id] (any of), type, excludeAdult }.
+   Unknown score/episodes fail a constraint that's set. */
+function matchesPickConstraints(anime, c = {}) {
+  if (!anime) return false;
+  if (c.minScore && !(anime.score >= c.minScore)) return false;
+  if (c.maxEpisodes && !(anime.episodes && anime.episodes <= c.maxEpisodes)) return false;
+  if (c.type && String(anime.type || '').toLowerCase() !== String(c.type).toLowerCase()) return false;
+  const tags = [].concat(anime.genres || [], anime.themes || [], anime.demographics || []).map(g => Number(g.mal_id));
+  if (c.genres && c.genres.length && !c.genres.some(id => tags.includes(Number(id)))) return false;
+  if (c.excludeAdult && (ADULT_RATING.test(anime.rating || '') || tags.some(id => ADULT_GENRE_IDS.includes(id)))) return false;
+  return true;
+}
+
+/* Title matching for suggestions. Titles are case/accent-folded; a title matches when it starts
+   with the query, or every query word starts some title word (one typo allowed from 4 letters),
+   or it contains the query (CJK titles have no spaces). */
+function foldTitle(s) {
+  return String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/* Display-title preference -> Jikan title type */
+const TITLE_LANGUAGES = { romaji: 'Default', english: 'English', native: 'Japanese' };
+
+/* Every name an anime goes by: [{ type, title }], main title first, or the preferred type's first */
+function animeTitles(anime, prefer = 'Default') {
+  const out = [];
+  const add = (type, title) => { if (title && !out.some(t => t.title === title)) out.push({ type, title }); };
+  if (!anime) return out;
+  const preferred = prefer !== 'Default' && (anime.titles || []).find(t => t.type === prefer && t.title);
+  if (preferred) add(prefer, preferred.title);
+  else if (prefer === 'English') add('English', anime.title_english);
+  else if (prefer === 'Japanese') add('Japanese', anime.title_japanese);
+  add('Default', anime.title);
+  (anime.titles || []).forEach(t => add(t.type, t.title));
+  add('English', anime.title_english);
+  add('Japanese', anime.title_japanese);
+  (anime.title_synonyms || []).forEach(t => add('Synonym', t));
+  return out;
+}
+
+// at most one insert, delete or substitution apart
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// 3 = whole word, 2 = word prefix, 1 = prefix with a typo, 0 = no match
+function wordScore(q, words) {
+  let best = 0;
+  words.forEach(w => {
+    if (w === q) best = 3;
+    else if (w.startsWith(q)) best = Math.max(best, 2);
+    else if (q.length >= 4 && [0, 1, -1].some(d => withinOneEdit(q, w.slice(0, q.length + d)))) best = Math.max(best, 1);
+  });
+  return best;
+}
+
+/* Title in the preferred language (TITLE_LANGUAGES key), falling back to the main title */
+function displayTitle(anime, lang = 'romaji') {
+  const first = animeTitles(anime, TITLE_LANGUAGES[lang] || 'Default')[0];
+  return first ? first.title : '';
+}
+
+/* @param {string} [prefer] title type that wins ties ('Default', 'English', 'Japanese')
+   @returns {?{ score: number, title: string, type: string }} the best-matching title, null when none match */
+function matchTitle(query, anime, prefer = 'Default') {
+  const q = foldTitle(query);
+  if (!q || !anime) return null;
+  return bestFoldedMatch(q, q.split(' '), animeTitles(anime, prefer).map(withFolded));
+}
+
+/* { type, title } plus its folded form and words, so matching only compares strings */
+function withFolded(t) {
+  const folded = foldTitle(t.title);
+  return { type: t.type, title: t.title, folded, words: folded.split(' ') };
+}
+
+// titles: withFolded records in preference order; q is already folded
+function bestFoldedMatch(q, qWords, titles) {
+  let best = null;
+  titles.forEach((t, i) => {
+    const folded = t.folded;
+    if (!folded) return;
+    let score;
+    if (folded === q) score = 100;
+    else if (folded.startsWith(q)) score = 80;
+    else {
+      const per = qWords.map(w => wordScore(w, t.words));
+      if (per.every(Boolean)) score = 40 + 5 * per.reduce((a, b) => a + b, 0) / qWords.length;
+      else if (folded.includes(q)) score = 30;
+      else return;
+    }
+    if (i > 0) score -= 1; // the main (or preferred) title wins ties
+    if (!best || score > best.score) best = { score, title: t.title, type: t.type };
+  });
+  return best;
+}
+
+/* Web Storage look-alike for Node / tests / extensions without localStorage */
+function memoryStorage(seed = {}) {
+  const data = new Map(Object.entries(seed));
+  return {
+    get length() { return data.size; },
+    key: i => Array.from(data.keys())[i] ?? null,
+    getItem: k => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: k => { data.delete(k); },
+    clear: () => data.clear(),
+  };
+}
+
+/* Tiny event emitter; a throwing listener is logged and doesn't stop the others */
+function createEmitter() {
+  const listeners = {};
+  const off = (type, fn) => { listeners[type] = (listeners[type] || []).filter(f => f !== fn); };
+  const on = (type, fn) => { (listeners[type] = listeners[type] || []).push(fn); return () => off(type, fn); };
+  const once = (type, fn) => { const un = on(type, e => { un(); fn(e); }); return un; };
+  const emit = (type, detail) => {
+    (listeners[type] || []).slice().forEach(fn => {
+      try { fn(detail); } catch (err) { console.error(`AnimeRat ${type} listener failed`, err); }
+    });
+  };
+  return { on, off, once, emit };
+}
+
+/* ==========================
+   MODEL: normalization shared by every provider
+   ========================== */
+function providerError(message, provider) {
+  const err = new Error(message);
+  err.name = 'ProviderError';
+  err.provider = provider;
+  return err;
+}
+
+/* Internal model. Unknown values are null/[] so renderers can rely on the keys existing.
+   (`source` stays Jikan's "original source material" field; `provider` says where the record came from) */
+function normalizeAnime(raw, source = 'jikan') {
+  if (!raw) return null;
+  const list = v => (Array.isArray(v) ? v : []);
+  const img = raw.images && raw.images.jpg ? raw.images.jpg : {};
+  return Object.assign({}, raw, {
+    mal_id: raw.mal_id != null ? Number(raw.mal_id) : null,
+    ids: Object.assign({ mal: raw.mal_id != null ? Number(raw.mal_id) : null }, raw.ids),
+    provider: raw.provider || source,
+    title: raw.title || raw.title_english || 'Untitled',
+    titles: list(raw.titles),
+    images: Object.assign({}, raw.images, { jpg: Object.assign({}, img, { image_url: img.image_url || raw.image_url || '', large_image_url: img.large_image_url || img.image_url || '' }) }),
+    score: raw.score != null ? Number(raw.score) : null,
+    episodes: raw.episodes != null ? Number(raw.episodes) : null,
+    status: raw.status || '',
+    aired: Object.assign({}, raw.aired, { from: (raw.aired && raw.aired.from) || null, to: (raw.aired && raw.aired.to) || null }),
+    broadcast: raw.broadcast && raw.broadcast.day ? raw.broadcast : null,
+    genres: list(raw.genres), themes: list(raw.themes), demographics: list(raw.demographics), studios: list(raw.studios),
+    synopsis: raw.synopsis || '',
+  });
+}
+
+function normalizeList(res, source) {
+  const data = (res && res.data ? res.data : []).map(a => normalizeAnime(a, source)).filter(a => a && a.mal_id);
+  return { data, pagination: { has_next_page: !!(res && res.pagination && res.pagination.has_next_page), current_page: (res && res.pagination && res.pagination.current_page) || 1 } };
+}
+
+/* Anime records inside a cached response: Jikan { data: [..] | {..} } or AniList { Page: { media } } / { Media } */
+function animeInCacheValue(v) {
+  if (!v || typeof v !== 'object') return [];
+  if (v.Page || v.Media) return [].concat((v.Page && v.Page.media) || [], v.Media || []).map(fromAniList).filter(Boolean);
+  return [].concat(v.data || []).filter(a => a && a.mal_id && a.title && a.images);
+}
+
+/* /producers entries (studios, producers and licensors share one id space on MAL) */
+function normalizeProducer(raw) {
+  if (!raw) return null;
+  const titles = raw.titles || [];
+  const title = titles.find(t => t.type === 'Default') || titles[0];
+  return {
+    mal_id: Number(raw.mal_id),
+    name: (title && title.title) || raw.name || 'Unknown',
+    count: raw.count || 0,
+    favorites: raw.favorites || 0,
+    established: raw.established || null,
+    image: (raw.images && raw.images.jpg && raw.images.jpg.image_url) || '',
+    about: raw.about || '',
+  };
+}
+
+/* ---------- AniList mapping ---------- */
+// AniList genres by name -> MAL genre/theme ids, so ids, links and taste keys line up across providers
+const ANILIST_GENRE_IDS = {
+  Action: 1, Adventure: 2, Comedy: 4, Drama: 8, Ecchi: 9, Fantasy: 10, Hentai: 12, Horror: 14, Mystery: 7,
+  Romance: 22, 'Sci-Fi': 24, 'Slice of Life': 36, Sports: 30, Supernatural: 37, Thriller: 41,
+  'Mahou Shoujo': 66, Mecha: 18, Music: 19, Psychological: 40,
+};
+const ANILIST_THEMES = new Set(['Mahou Shoujo', 'Mecha', 'Music', 'Psychological']);
+const ANILIST_FORMATS = { TV: 'TV', TV_SHORT: 'TV', MOVIE: 'Movie', SPECIAL: 'Special', OVA: 'OVA', ONA: 'ONA', MUSIC: 'Music' };
+const ANILIST_MEDIA_STATUS = { FINISHED: 'Finished Airing', RELEASING: 'Currently Airing', NOT_YET_RELEASED: 'Not yet aired', CANCELLED: 'Cancelled', HIATUS: 'Currently Airing' };
+const ANILIST_SORT = {
+  score: 'SCORE', popularity: 'POPULARITY', members: 'POPULARITY', favorites: 'FAVOURITES',
+  start_date: 'START_DATE', episodes: 'EPISODES', title: 'TITLE_ROMAJI',
+};
+const ANILIST_MEDIA_FIELDS = `id idMal title { romaji english native } synonyms coverImage { large extraLarge }
+  averageScore popularity favourites episodes duration format status season seasonYear
+  startDate { year month day } endDate { year month day } description(asHtml: false) genres
+  studios { nodes { id name isAnimationStudio } } nextAiringEpisode { airingAt episode } trailer { id site } siteUrl`;
+
+function anilistDate(d) {
+  if (!d || !d.year) return null;
+  return `${d.year}-${String(d.month || 1).padStart(2, '0')}-${String(d.day || 1).padStart(2, '0')}T00:00:00+00:00`;
+}
+
+/* nextAiringEpisode (unix seconds) -> Jikan-style JST broadcast slot, so nextBroadcast() works unchanged */
+function anilistBroadcast(next) {
+  if (!next || !next.airingAt) return null;
+  const jst = new Date(next.airingAt * 1000 + JST_OFFSET_MS);
+  const time = `${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}`;
+  return { day: WEEKDAYS[jst.getUTCDay()] + 's', time, timezone: 'Asia/Tokyo', string: `${WEEKDAYS[jst.getUTCDay()]}s at ${time} (JST)` };
+}
+
+function fromAniList(m) {
+  if (!m || !m.idMal) return null; // MyList, reviews and routes are keyed by MAL id
+  const genres = [], themes = [];
+  (m.genres || []).forEach(name => {
+    const g = { mal_id: ANILIST_GENRE_IDS[name] || null, name };
+    (ANILIST_THEMES.has(name) ? themes : genres).push(g);
+  });
+  const mins = m.duration || null;
+  return normalizeAnime({
+    mal_id: m.idMal,
+    ids: { mal: m.idMal, anilist: m.id },
+    title: m.title.romaji || m.title.english || m.title.native,
+    title_english: m.title.english || null,
+    title_japanese: m.title.native || null,
+    titles: [
+      { type: 'Default', title: m.title.romaji },
+      m.title.english ? { type: 'English', title: m.title.english } : null,
+      m.title.native ? { type: 'Japanese', title: m.title.native } : null,
+    ].concat((m.synonyms || []).map(t => ({ type: 'Synonym', title: t }))).filter(t => t && t.title),
+    images: { jpg: { image_url: (m.coverImage && m.coverImage.large) || '', large_image_url: (m.coverImage && m.coverImage.extraLarge) || '' } },
+    score: m.averageScore ? m.averageScore / 10 : null,
+    members: m.popularity || null,
+    favorites: m.favourites || null,
+    episodes: m.episodes,
+    duration: mins ? `${mins} min per ep` : null,
+    type: ANILIST_FORMATS[m.format] || m.format || null,
+    status: ANILIST_MEDIA_STATUS[m.status] || '',
+    airing: m.status === 'RELEASING',
+    aired: { from: anilistDate(m.startDate), to: anilistDate(m.endDate) },
+    broadcast: anilistBroadcast(m.nextAiringEpisode),
+    season: m.season ? m.season.toLowerCase() : null,
+    year: m.seasonYear || null,
+    synopsis: (m.description || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim(),
+    genres, themes,
+    studios: ((m.studios && m.studios.nodes) || []).filter(s => s.isAnimationStudio).map(s => ({ mal_id: null, name: s.name })),
+    trailer: m.trailer && m.trailer.site === 'youtube' ? { youtube_id: m.trailer.id, embed_url: `https://www.youtube.com/embed/${m.trailer.id}` } : null,
+    url: m.siteUrl,
+  }, 'anilist');
+}
+
+function genreNamesFromIds(csv) {
+  const byId = {};
+  Object.keys(ANILIST_GENRE_IDS).forEach(name => { byId[ANILIST_GENRE_IDS[name]] = name; });
+  return String(csv || '').split(',').map(id => byId[id]).filter(Boolean);
+}
+
+/* SEARCH_FILTER_KEYS -> AniList Page(media:) arguments */
+function anilistSearchVars(filters) {
+  const f = filters || {};
+  const formats = { tv: ['TV', 'TV_SHORT'], movie: ['MOVIE'], ova: ['OVA'], ona: ['ONA'], special: ['SPECIAL'], music: ['MUSIC'] };
+  const statuses = { airing: 'RELEASING', complete: 'FINISHED', upcoming: 'NOT_YET_RELEASED' };
+  const fuzzy = d => (d ? Number(String(d).replace(/-/g, '').padEnd(8, '0')) : undefined);
+  const vars = {
+    search: f.q || undefined,
+    format_in: formats[f.type],
+    status: statuses[f.status],
+    genre_in: f.genres ? genreNamesFromIds(f.genres) : undefined,
+    genre_not_in: f.genres_exclude ? genreNamesFromIds(f.genres_exclude) : undefined,
+    averageScore_greater: f.min_score ? Math.round(Number(f.min_score) * 10) - 1 : undefined,
+    startDate_greater: fuzzy(f.start_date),
+    startDate_lesser: fuzzy(f.end_date),
+  };
+  const sortBase = ANILIST_SORT[f.order_by];
+  if (sortBase) vars.sort = [sortBase === 'TITLE_ROMAJI' ? (f.sort === 'desc' ? 'TITLE_ROMAJI_DESC' : 'TITLE_ROMAJI') : sortBase + (f.sort === 'asc' ? '' : '_DESC')];
+  else vars.sort = f.q ? ['SEARCH_MATCH'] : ['POPULARITY_DESC'];
+  Object.keys(vars).forEach(k => vars[k] === undefined && delete vars[k]);
+  return vars;
+}
+
+/* ---------- MyList entries ---------- */
+function normalizeListEntry(e) {
+  const total = Number(e.totalEpisodes) || 0;
+  let watched = Math.max(0, Number(e.episodesWatched) || 0);
+  if (total) watched = Math.min(watched, total);
+  const score = Math.min(10, Math.max(0, Number(e.score) || 0));
+  return {
+    id: String(e.id),
+    title: e.title || 'Untitled',
+    image: e.image || '',
+    totalEpisodes: total,
+    status: LIST_STATUSES.includes(e.status) ? e.status : 'plan-to-watch',
+    episodesWatched: watched,
+    score,
+    startDate: e.startDate || null,
+    finishDate: e.finishDate || null,
+    updatedAt: e.updatedAt || nowMs(),
+  };
+}
+
+function applyStatusSideEffects(entry, status) {
+  entry.status = status;
+  if (status === 'watching' && !entry.startDate) entry.startDate = todayISO();
+  if (status === 'completed') {
+    if (!entry.startDate) entry.startDate = todayISO();
+    if (!entry.finishDate) entry.finishDate = todayISO();
+    if (entry.totalEpisodes) entry.episodesWatched = entry.totalEpisodes;
+  }
+}
+
+/* ==========================
+   LIST SNAPSHOTS (no backend: the whole list travels in a URL fragment or a file)
+   Snapshot: { v, n: name, at: ms, e: [[id, status index, score, watched, total, title, cover]] }
+   Encoded: 'z' + base64url(deflate-raw(JSON)), or 'j' + base64url(JSON) without CompressionStream.
+   ========================== */
+function makeSnapshot(entries, name = '') {
+  return {
+    v: SNAPSHOT_VERSION,
+    n: String(name || '').slice(0, 60),
+    at: nowMs(),
+    e: entries.map(e => [Number(e.id), LIST_STATUSES.indexOf(e.status), e.score || 0, e.episodesWatched || 0, e.totalEpisodes || 0,
+      e.title || '', (e.image || '').replace(SNAPSHOT_IMG_BASE, '')]),
+  };
+}
+
+/* @returns {{ name: string, createdAt: number, entries: ListEntry[] }} throws on anything that isn't a snapshot */
+function readSnapshot(snap) {
+  if (!snap || !Array.isArray(snap.e)) throw new Error('Not an AnimeRat list snapshot');
+  if (snap.v > SNAPSHOT_VERSION) throw new Error('This snapshot was made by a newer version of AnimeRat');
+  return {
+    name: snap.n || '',
+    createdAt: snap.at || null,
+    entries: snap.e.filter(r => Array.isArray(r) && r[0]).map(([id, status, score, watched, total, title, image]) => normalizeListEntry({
+      id, status: LIST_STATUSES[status], score, episodesWatched: watched, totalEpisodes: total, title,
+      image: image && !/^https?:/.test(image) ? SNAPSHOT_IMG_BASE + image : image || '',
+      updatedAt: snap.at,
+    })),
+  };
+}
+
+function bytesToBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function base64UrlToBytes(s) {
+  const bin = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+async function pipeBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+async function encodeSnapshot(snap) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snap));
+  if (typeof CompressionStream === 'undefined') return 'j' + bytesToBase64Url(bytes);
+  return 'z' + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+async function decodeSnapshot(text) {
+  const s = String(text || '').trim();
+  let bytes;
+  try { bytes = base64UrlToBytes(s.slice(1)); } catch (e) { throw new Error('Snapshot data is damaged'); }
+  if (s[0] === 'z') {
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed snapshots');
+    try { bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw')); } catch (e) { throw new Error('Snapshot data is damaged'); }
+  } else if (s[0] !== 'j') throw new Error('Not an AnimeRat list snapshot');
+  try { return JSON.parse(new TextDecoder().decode(bytes)); } catch (e) { throw new Error('Snapshot data is damaged'); }
+}
+
+/* Taste comparison of two entry lists.
+   compatibility (0-100, null without co-scored titles) averages score agreement
+   (1 - mean |difference| / 9) with the Pearson correlation mapped onto 0..1; the
+   correlation needs 3+ co-scored titles and some spread, otherwise agreement counts alone.
+   recommendations: their LOVED_SCORE+ titles that aren't on my list (or only as plan-to-watch). */
+function compareLists(mine, theirs) {
+  const myById = new Map(mine.map(e => [String(e.id), e]));
+  const shared = theirs.filter(t => myById.has(String(t.id))).map(t => {
+    const m = myById.get(String(t.id));
+    return { id: t.id, title: m.title || t.title, image: m.image || t.image, totalEpisodes: t.totalEpisodes || m.totalEpisodes,
+      mine: m, theirs: t, diff: m.score && t.score ? t.score - m.score : null };
+  }).sort((a, b) => Math.abs(b.diff || 0) - Math.abs(a.diff || 0));
+  const scored = shared.filter(s => s.diff !== null);
+  let compatibility = null;
+  if (scored.length) {
+    const agreement = 1 - scored.reduce((sum, s) => sum + Math.abs(s.diff), 0) / scored.length / 9;
+    let correlation = null;
+    if (scored.length >= 3) {
+      const mean = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+      const xs = scored.map(s => s.mine.score), ys = scored.map(s => s.theirs.score);
+      const mx = mean(xs), my = mean(ys);
+      let cov = 0, vx = 0, vy = 0;
+      xs.forEach((x, i) => { cov += (x - mx) * (ys[i] - my); vx += (x - mx) ** 2; vy += (ys[i] - my) ** 2; });
+      if (vx && vy) correlation = (cov / Math.sqrt(vx * vy) + 1) / 2;
+    }
+    compatibility = Math.round(100 * (correlation == null ? agreement : (agreement + correlation) / 2));
+  }
+  const recommendations = theirs.filter(t => {
+    const m = myById.get(String(t.id));
+    return t.score >= LOVED_SCORE && (!m || m.status === 'plan-to-watch');
+  }).sort((a, b) => b.score - a.score);
+  return { shared, scored: scored.length, compatibility, recommendations };
+}
+
+/* ==========================
+   CORE INSTANCE
+   ========================== */
+/**
+ * @param {CoreOptions} [options]
+ */
+function createCore(options = {}) {
+  const storage = options.storage || memoryStorage();
+  const fetchImpl = options.fetch || ((url, init) => globalThis.fetch(url, init));
+  const isOnline = options.isOnline || (() => !(typeof navigator !== 'undefined' && navigator.onLine === false));
+  const fixtureBase = options.fixtureBase || FIXTURE_BASE;
+  const events = createEmitter();
+
+  /* ---------- Storage: TTL cache + persistent store ---------- */
+
+  /* Write a raw value; on quota errors evict old cache entries and try once more */
+  function storageWrite(fullKey, raw) {
+    try { storage.setItem(fullKey, raw); return true; }
+    catch (e) {
+      if (!isQuotaError(e)) { console.warn('Storage write failed for', fullKey, e); return false; }
+      const freed = evictCacheEntries(0.3);
+      console.warn('Storage quota reached; evicted', freed, 'cache entries');
+      try { storage.setItem(fullKey, raw); return true; }
+      catch (e2) { console.warn('Storage write failed after eviction for', fullKey, e2); return false; }
+    }
+  }
+
+  /* TTL cache entries are { t, v }; user data (MyList etc.) never is */
+  function listCacheEntries() {
+    const out = [];
+    for (let i = 0; i < storage.length; i++) {
+      const k = storage.key(i);
+      if (!k || k.indexOf(STORAGE_PREFIX) !== 0) continue;
+      try {
+        const parsed = JSON.parse(storage.getItem(k));
+        if (parsed && typeof parsed.t === 'number' && 'v' in parsed) out.push({ key: k, t: parsed.t });
+      } catch (e) { /* not ours */ }
+    }
+    return out;
+  }
+
+  /* Drop the oldest fraction of cache entries (LRU by write time) */
+  function evictCacheEntries(fraction = 0.3) {
+    const entries = listCacheEntries().sort((a, b) => a.t - b.t);
+    const n = Math.max(1, Math.ceil(entries.length * fraction));
+    entries.slice(0, n).forEach(e => { try { storage.removeItem(e.key); } catch (err) {} });
+    return Math.min(n, entries.length);
+  }
+
+  /* Expired entries are kept (for offline fallback) until they're really old */
+  function pruneCache(maxAge = CACHE_STALE_MAX_MS) {
+    const cutoff = nowMs() - maxAge;
+    listCacheEntries().filter(e => e.t < cutoff).forEach(e => { try { storage.removeItem(e.key); } catch (err) {} });
+  }
+
+  function cacheSet(key, value) {
+    const payload = { t: nowMs(), v: value };
+    storageWrite(STORAGE_PREFIX + key, JSON.stringify(payload));
+    if (titleIndex) indexAnime(animeInCacheValue(value));
+  }
+  /* Returns null when missing or older than maxAge; pass Infinity to accept stale data */
+  function cacheGet(key, maxAge = CACHE_TTL_MS) {
+    try {
+      const raw = storage.getItem(STORAGE_PREFIX + key);
+      if (!raw) return null;
+      const parsed = JSON.parse(raw);
+      if (!parsed.t || !parsed.v) return null;
+      if ((nowMs() - parsed.t) > maxAge) return null;
+      return parsed.v;
+    } catch (e) { return null; }
+  }
+  function cacheRemove(key){ try{ storage.removeItem(STORAGE_PREFIX + key); }catch(e){} }
+
+  /* ---------- Local title index ----------
+     Every anime that went through cacheSet (feeds, searches, details) is kept in memory
+     as a slim record so suggestions can answer before the network does. Built from the
+     stored cache on first use, then fed by cacheSet. */
+  let titleIndex = null; // Map mal_id -> { mal_id, title, titles (with folded forms), images, year, type, members }
+
+  function indexAnime(list) {
+    list.forEach(a => {
+      const img = (a.images && a.images.jpg) || {};
+      titleIndex.set(Number(a.mal_id), {
+        mal_id: Number(a.mal_id),
+        title: a.title,
+        titles: animeTitles(a).map(withFolded), // folded once here, not on every keystroke
+        images: { jpg: { image_url: img.small_image_url || img.image_url || '' } },
+        year: a.year || (a.aired && a.aired.from ? Number(String(a.aired.from).slice(0, 4)) : null),
+        type: a.type || null,
+        members: a.members || 0,
+      });
+    });
+  }
+
+  function ensureTitleIndex() {
+    if (titleIndex) return titleIndex;
+    titleIndex = new Map();
+    listCacheEntries().forEach(e => {
+      try { indexAnime(animeInCacheValue(JSON.parse(storage.getItem(e.key)).v)); } catch (err) { /* unreadable entry */ }
+    });
+    return titleIndex;
+  }
+
+  /**
+   * Instant title matches among already-seen anime, best first (ties go to the more popular).
+   * @returns {Array<{ anime: Object, match: { score: number, title: string, type: string } }>}
+   */
+  function searchLocal(q, limit = 8, prefer = 'Default') {
+    const folded = foldTitle(q);
+    if (!folded) return [];
+    const qWords = folded.split(' ');
+    const hits = [];
+    ensureTitleIndex().forEach(anime => {
+      // same order animeTitles(anime, prefer) gives: the preferred type's first title moves to the front
+      const at = prefer === 'Default' ? -1 : anime.titles.findIndex(t => t.type === prefer);
+      const titles = at > 0 ? [anime.titles[at]].concat(anime.titles.slice(0, at), anime.titles.slice(at + 1)) : anime.titles;
+      const match = bestFoldedMatch(folded, qWords, titles);
+      if (match) hits.push({ anime, match });
+    });
+    return hits.sort((a, b) => (b.match.score - a.match.score) || (b.anime.members - a.anime.members)).slice(0, limit);
+  }
+
+  /* Slim index record for one id (has `titles`, so displayTitle works on it), null when never seen */
+  function indexedAnime(id) {
+    return ensureTitleIndex().get(Number(id)) || null;
+  }
+
+  /* Persistent (non-expiring) storage for user data like MyList */
+  function storeGet(key, fallback = null) {
+    try {
+      const raw = storage.getItem(STORAGE_PREFIX + key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) { return fallback; }
+  }
+  function storeSet(key, value) {
+    return storageWrite(STORAGE_PREFIX + key, JSON.stringify(value));
+  }
+
+  /* ---------- Request scheduler ----------
+     Jikan v4 allows ~3 req/s and 60 req/min. Every network call goes through
+     one queue: token buckets for both limits, exponential backoff on 429/503,
+     in-flight dedupe by URL, priorities and AbortSignal cancellation. */
+  function makeBucket(capacity, refillPerMs) { return { capacity, tokens: capacity, refillPerMs, last: nowMs() }; }
+  function refillBucket(b) {
+    const t = nowMs();
+    b.tokens = Math.min(b.capacity, b.tokens + (t - b.last) * b.refillPerMs);
+    b.last = t;
+  }
+  // ms until the bucket holds a whole token
+  function bucketWait(b) { refillBucket(b); return b.tokens >= 1 ? 0 : Math.ceil((1 - b.tokens) / b.refillPerMs); }
+
+  const scheduler = {
+    buckets: [makeBucket(3, 3 / 1000), makeBucket(60, 60 / 60000)],
+    pending: [], // jobs waiting for a token, picked by (priority, seq)
+    jobs: new Map(), // url -> job (queued or in flight)
+    pausedUntil: 0, // set by 429/503 so the whole queue backs off, not just one job
+    timer: null,
+    seq: 0,
+  };
+
+  /* opts.init: fetch init for non-GET requests (GraphQL); opts.key: dedupe key when the URL alone isn't unique */
+  function scheduleRequest(url, opts = {}) {
+    const priority = opts.priority !== undefined ? opts.priority : PRIORITY.normal;
+    const key = opts.key || url;
+    let job = scheduler.jobs.get(key);
+    if (!job) {
+      job = { url, key, init: opts.init || null, priority, seq: ++scheduler.seq, attempt: 0, waiters: 0, notBefore: 0, controller: new AbortController() };
+      job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+      job.promise.catch(() => {}); // callers get their own handle; avoid unhandled noise
+      scheduler.jobs.set(key, job);
+      scheduler.pending.push(job);
+    } else if (priority < job.priority) {
+      job.priority = priority; // someone more important wants it: move it up
+    }
+    job.waiters++;
+    pumpQueue();
+    return attachCaller(job, opts.signal);
+  }
+
+  function attachCaller(job, signal) {
+    if (!signal) return job.promise;
+    if (signal.aborted) { releaseJob(job); return Promise.reject(abortError()); }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => { releaseJob(job); reject(abortError()); };
+      signal.addEventListener('abort', onAbort, { once: true });
+      job.promise.then(
+        v => { signal.removeEventListener('abort', onAbort); resolve(v); },
+        e => { signal.removeEventListener('abort', onAbort); reject(e); }
+      );
+    });
+  }
+
+  /* A caller gave up; cancel the request only when nobody else is waiting on it */
+  function releaseJob(job) {
+    job.waiters--;
+    if (job.waiters > 0 || job.done) return;
+    job.done = true;
+    job.controller.abort();
+    scheduler.pending = scheduler.pending.filter(j => j !== job);
+    scheduler.jobs.delete(job.key);
+    job.reject(abortError());
+  }
+
+  function pumpQueue() {
+    clearTimeout(scheduler.timer);
+    scheduler.timer = null;
+    while (scheduler.pending.length) {
+      const t = nowMs();
+      const ready = scheduler.pending.filter(j => j.notBefore <= t);
+      let wait = Math.max(0, scheduler.pausedUntil - t, ...scheduler.buckets.map(bucketWait));
+      if (!ready.length) wait = Math.max(wait, Math.min(...scheduler.pending.map(j => j.notBefore)) - t);
+      if (wait > 0) { scheduler.timer = setTimeout(pumpQueue, wait); return; }
+
+      ready.sort((a, b) => (a.priority - b.priority) || (a.seq - b.seq));
+      const job = ready[0];
+      scheduler.pending = scheduler.pending.filter(j => j !== job);
+      scheduler.buckets.forEach(b => { b.tokens -= 1; });
+      runJob(job);
+    }
+  }
+
+  function retryDelay(job, res) {
+    const header = res && res.headers && res.headers.get('Retry-After');
+    const secs = header ? Number(header) : NaN;
+    if (!isNaN(secs)) return secs * 1000;
+    // exponential backoff with a bit of jitter
+    return BACKOFF_BASE_MS * Math.pow(2, job.attempt - 1) + Math.floor(Math.random() * 250);
+  }
+
+  async function runJob(job) {
+    job.attempt++;
+    let res = null;
+    try {
+      res = await fetchImpl(job.url, Object.assign({}, job.init, { signal: job.controller.signal }));
+      if (res.ok) {
+        const data = await res.json();
+        finishJob(job, null, data);
+        return;
+      }
+      if (res.status !== 429 && res.status !== 503) { finishJob(job, new Error('HTTP ' + res.status)); return; }
+    } catch (err) {
+      if (job.done || isAbortError(err)) return; // released by all callers
+      console.warn('Fetch failed for', job.url, err);
+      // no point retrying while offline; apiFetch falls back to stale cache
+      if (!isOnline()) { finishJob(job, new Error('Offline')); return; }
+    }
+    if (job.done) return;
+    if (job.attempt >= MAX_ATTEMPTS) {
+      finishJob(job, new Error(res ? 'HTTP ' + res.status : 'Network error'));
+      return;
+    }
+    const delay = retryDelay(job, res);
+    if (res && res.status === 429) {
+      scheduler.pausedUntil = Math.max(scheduler.pausedUntil, nowMs() + delay);
+      console.warn('Rate limited; backing off', delay, 'ms');
+    }
+    job.notBefore = nowMs() + delay;
+    scheduler.pending.push(job);
+    pumpQueue();
+  }
+
+  function finishJob(job, err, data) {
+    if (job.done) return;
+    job.done = true;
+    scheduler.jobs.delete(job.key);
+    if (err) { console.error('Request failed for', job.url, err); job.reject(err); }
+    else job.resolve(data);
+  }
+
+  /* ---------- Data providers ----------
+     Loaders go through the active provider. Every provider returns the internal
+     anime model wrapped as { data, pagination: { has_next_page } }, so renderers never see
+     a provider's raw shape.
+     Provider: { name, label, ops: { search, top, season, seasonNow, seasonUpcoming, schedules,
+                 details, part, episodes, byGenre, byProducer, genres, producers, producer, random } };
+     a missing op falls back to Jikan. */
+  let dataSource = Object.assign({ provider: 'jikan', fallback: true, corsProxy: '' }, storeGet(DATA_SOURCE_KEY, {}));
+  const providerOverride = options.provider || null;
+
+  /* Proxy template: "https://proxy.example/raw?url={url}" or a plain prefix */
+  function proxiedUrl(url) {
+    const proxy = (dataSource.corsProxy || '').trim();
+    if (!proxy) return url;
+    return proxy.includes('{url}') ? proxy.replace('{url}', encodeURIComponent(url)) : proxy + encodeURIComponent(url);
+  }
+
+  let randomSeq = 0;
+
+  /* Jikan (REST, the reference shape) */
+  async function apiFetch(path, params = {}, useCacheKey = null, ttl = CACHE_TTL_MS, opts = {}) {
+    // Build URL
+    const url = new URL(API_BASE + path);
+    Object.keys(params || {}).forEach(k => { if (params[k] !== undefined && params[k] !== null) url.searchParams.set(k, params[k]); });
+
+    const cacheKey = useCacheKey || ('url:' + url.toString());
+    const cached = cacheGet(cacheKey, ttl);
+    if (cached) return cached;
+
+    try {
+      const data = await scheduleRequest(proxiedUrl(url.toString()), opts);
+      cacheSet(cacheKey, data);
+      return data;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      // offline / API down: an expired copy beats an error screen
+      const stale = cacheGet(cacheKey, Infinity);
+      if (stale) { console.warn('Serving stale cache for', url.toString()); return stale; }
+      throw err;
+    }
+  }
+
+  const jikanProvider = {
+    name: 'jikan',
+    label: 'Jikan (MyAnimeList)',
+    ops: {
+      search: async (filters, page, limit, opts) => {
+        const params = Object.assign(filtersToParams(filters), { page, limit });
+        // plain quick searches keep their short historic cache key
+        const keys = Object.keys(filters);
+        const key = keys.length === 1 && filters.q && page === 1 ? `search:${filters.q}:${limit}` : 'search:adv:' + new URLSearchParams(params).toString();
+        return normalizeList(await apiFetch('/anime', params, key, 1000 * 60 * 5, opts));
+      },
+      top: async (filter, page, limit, opts) => (filter.type === 'movie'
+        ? normalizeList(await apiFetch('/top/anime', { type: 'movie', page, limit }, `movies:${page}:${limit}`, CACHE_TTL_MS, opts))
+        : normalizeList(await apiFetch('/top/anime', { page, limit }, `top:${page}:${limit}`, CACHE_TTL_MS, opts))),
+      seasonNow: async (opts) => normalizeList(await apiFetch('/seasons/now', {}, 'seasons:now', CACHE_TTL_MS, opts)),
+      seasonUpcoming: async (opts) => normalizeList(await apiFetch('/seasons/upcoming', {}, 'seasons:upcoming', CACHE_TTL_MS, opts)),
+      season: async (year, season, page, opts) => normalizeList(await apiFetch(`/seasons/${year}/${season}`, { page }, `season:${year}:${season}:${page}`, CACHE_TTL_MS, opts)),
+      schedules: async (page, opts) => normalizeList(await apiFetch('/schedules', { page, limit: 25 }, `schedules:${page}`, CACHE_TTL_MS, opts)),
+      details: async (id, opts) => {
+        const res = await apiFetch(`/anime/${id}/full`, {}, `anime:${id}`, CACHE_TTL_MS * 24, opts);
+        return { data: normalizeAnime(res && res.data) };
+      },
+      part: (id, part, opts) => apiFetch(`/anime/${id}/${part}`, {}, `anime:${id}:${part}`, CACHE_TTL_MS * 24, opts),
+      episodes: (id, page, opts) => apiFetch(`/anime/${id}/episodes`, { page }, `anime:${id}:episodes:${page}`, CACHE_TTL_MS * 6, opts),
+      byGenre: async (genreId, page, limit, order, opts) => {
+        const params = { genres: genreId, order_by: order.order_by, sort: order.sort, page, limit };
+        return normalizeList(await apiFetch('/anime', params, `genre:${genreId}:${order.order_by}:${order.sort}:${page}:${limit}`, CACHE_TTL_MS, opts));
+      },
+      // filter: '' (everything) | genres | explicit_genres | themes | demographics
+      genres: (filter, opts) => apiFetch('/genres/anime', filter ? { filter } : {}, 'genres:list' + (filter ? ':' + filter : ''), CACHE_TTL_MS * 24 * 3, opts),
+      producers: async (query, page, limit, opts) => {
+        const params = { q: query.q || undefined, order_by: query.q ? undefined : 'count', sort: query.q ? undefined : 'desc', page, limit };
+        const res = await apiFetch('/producers', params, `producers:${query.q || ''}:${page}:${limit}`, CACHE_TTL_MS * 24, opts);
+        return {
+          data: (res && res.data ? res.data : []).map(normalizeProducer),
+          pagination: { has_next_page: !!(res && res.pagination && res.pagination.has_next_page), current_page: page },
+        };
+      },
+      producer: async (id, opts) => {
+        const res = await apiFetch(`/producers/${id}`, {}, `producer:${id}`, CACHE_TTL_MS * 24 * 3, opts);
+        return { data: normalizeProducer(res && res.data) };
+      },
+      byProducer: async (producerId, page, limit, order, opts) => {
+        const params = { producers: producerId, order_by: order.order_by, sort: order.sort, page, limit };
+        return normalizeList(await apiFetch('/anime', params, `producer:${producerId}:${order.order_by}:${order.sort}:${page}:${limit}`, CACHE_TTL_MS, opts));
+      },
+      // never cached, and keyed per call so two rolls in flight don't collapse into one
+      random: async (filter, opts) => {
+        const url = API_BASE + '/random/anime' + (filter.sfw ? '?sfw=true' : '');
+        const res = await scheduleRequest(proxiedUrl(url), Object.assign({}, opts, { key: url + '#' + (++randomSeq) }));
+        return { data: normalizeAnime(res && res.data) };
+      },
+    },
+  };
+
+  /* AniList (GraphQL) */
+  async function anilistFetch(query, variables, cacheKey, ttl, opts = {}) {
+    const key = 'anilist:' + cacheKey;
+    const cached = cacheGet(key, ttl);
+    if (cached) return cached;
+    const body = JSON.stringify({ query, variables });
+    try {
+      const res = await scheduleRequest(proxiedUrl(ANILIST_GRAPHQL), Object.assign({}, opts, {
+        key: ANILIST_GRAPHQL + '#' + body,
+        init: { method: 'POST', headers: { 'Content-Type': 'application/json', Accept: 'application/json' }, body },
+      }));
+      if (res.errors && res.errors.length) throw providerError(res.errors[0].message, 'anilist');
+      cacheSet(key, res.data);
+      return res.data;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      const stale = cacheGet(key, Infinity);
+      if (stale) return stale;
+      throw err;
+    }
+  }
+
+  async function anilistPage(vars, cacheKey, ttl, opts) {
+    const query = `query ($page: Int, $perPage: Int, $search: String, $sort: [MediaSort], $format_in: [MediaFormat],
+      $status: MediaStatus, $genre_in: [String], $genre_not_in: [String], $season: MediaSeason, $seasonYear: Int,
+      $averageScore_greater: Int, $startDate_greater: FuzzyDateInt, $startDate_lesser: FuzzyDateInt) {
+      Page(page: $page, perPage: $perPage) {
+        pageInfo { hasNextPage currentPage }
+        media(type: ANIME, search: $search, sort: $sort, format_in: $format_in, status: $status, genre_in: $genre_in,
+          genre_not_in: $genre_not_in, season: $season, seasonYear: $seasonYear, averageScore_greater: $averageScore_greater,
+          startDate_greater: $startDate_greater, startDate_lesser: $startDate_lesser, isAdult: false) { ${ANILIST_MEDIA_FIELDS} }
+      }
+    }`;
+    const data = await anilistFetch(query, vars, cacheKey, ttl, opts);
+    const page = data && data.Page;
+    return {
+      data: ((page && page.media) || []).map(fromAniList).filter(Boolean),
+      pagination: { has_next_page: !!(page && page.pageInfo.hasNextPage), current_page: (page && page.pageInfo.currentPage) || 1 },
+    };
+  }
+
+  const anilistProvider = {
+    name: 'anilist',
+    label: 'AniList',
+    ops: {
+      search: (filters, page, limit, opts) => {
+        const vars = Object.assign(anilistSearchVars(filtersToParams(filters)), { page, perPage: limit });
+        return anilistPage(vars, 'search:' + JSON.stringify(vars), 1000 * 60 * 5, opts);
+      },
+      top: (filter, page, limit, opts) => {
+        const vars = { page, perPage: limit, sort: ['SCORE_DESC'] };
+        if (filter.type === 'movie') vars.format_in = ['MOVIE'];
+        return anilistPage(vars, `top:${filter.type || ''}:${page}:${limit}`, CACHE_TTL_MS, opts);
+      },
+      season: (year, season, page, opts) => anilistPage({ page, perPage: 50, season: season.toUpperCase(), seasonYear: Number(year), sort: ['POPULARITY_DESC'] }, `season:${year}:${season}:${page}`, CACHE_TTL_MS, opts),
+      seasonNow: (opts) => {
+        const cur = currentSeason();
+        return anilistProvider.ops.season(cur.year, cur.season, 1, opts);
+      },
+      seasonUpcoming: (opts) => {
+        const cur = currentSeason();
+        const next = shiftSeason(cur.year, cur.season, 1);
+        return anilistProvider.ops.season(next.year, next.season, 1, opts);
+      },
+      // no weekly timetable endpoint; airing shows carry their next episode time instead
+      schedules: (page, opts) => anilistPage({ page, perPage: 50, status: 'RELEASING', sort: ['POPULARITY_DESC'] }, `schedules:${page}`, CACHE_TTL_MS, opts),
+      details: async (id, opts) => {
+        const query = `query ($idMal: Int) { Media(idMal: $idMal, type: ANIME) { ${ANILIST_MEDIA_FIELDS} } }`;
+        const data = await anilistFetch(query, { idMal: Number(id) }, `anime:${id}`, CACHE_TTL_MS * 24, opts);
+        const anime = fromAniList(data && data.Media);
+        if (!anime) throw providerError('Not found on AniList', 'anilist');
+        return { data: anime };
+      },
+      // only recommendations come from AniList; the other tabs are keyed by MAL id, so Jikan serves them
+      part: async (id, part, opts) => {
+        if (part !== 'recommendations') return jikanProvider.ops.part(id, part, opts);
+        const query = `query ($idMal: Int) { Media(idMal: $idMal, type: ANIME) { recommendations(sort: RATING_DESC, perPage: 25) {
+          nodes { rating mediaRecommendation { idMal title { romaji } coverImage { large } } } } } }`;
+        const data = await anilistFetch(query, { idMal: Number(id) }, `anime:${id}:recommendations`, CACHE_TTL_MS * 24, opts);
+        const nodes = (data && data.Media && data.Media.recommendations.nodes) || [];
+        return {
+          data: nodes.filter(n => n.mediaRecommendation && n.mediaRecommendation.idMal).map(n => ({
+            entry: { mal_id: n.mediaRecommendation.idMal, title: n.mediaRecommendation.title.romaji, images: { jpg: { image_url: n.mediaRecommendation.coverImage.large } } },
+            votes: Math.max(0, n.rating || 0),
+          })),
+        };
+      },
+      // several ids: AniList's genre_in matches any of them (Jikan requires all)
+      byGenre: (genreId, page, limit, order, opts) => {
+        const names = genreNamesFromIds(genreId);
+        if (!names.length) return Promise.reject(providerError('Genre not on AniList', 'anilist'));
+        const vars = Object.assign(anilistSearchVars({ order_by: order.order_by, sort: order.sort }), { page, perPage: limit, genre_in: names });
+        return anilistPage(vars, 'genre:' + JSON.stringify(vars), CACHE_TTL_MS, opts);
+      },
+      // AniList has no counts, explicit genres or demographics; its few theme-like genres map onto MAL themes
+      genres: async (filter, opts) => {
+        if (filter && filter !== 'genres' && filter !== 'themes') return { data: [] };
+        const data = await anilistFetch('query { GenreCollection }', {}, 'genres', CACHE_TTL_MS * 24 * 3, opts);
+        const wanted = n => ANILIST_GENRE_IDS[n] && (filter === 'themes' ? ANILIST_THEMES.has(n) : !ANILIST_THEMES.has(n));
+        return { data: ((data && data.GenreCollection) || []).filter(wanted).map(name => ({ mal_id: ANILIST_GENRE_IDS[name], name })) };
+      },
+    },
+  };
+
+  /* Fixtures (JSON files on disk, Jikan-shaped)
+     fixtures/top.json is the catch-all list; more specific files win when present:
+     search.json, season.json, seasonNow.json, seasonUpcoming.json, schedules.json, genres.json,
+     anime-<id>.json (details), anime-<id>-<part>.json (tabs). */
+  async function fixtureFetch(...names) {
+    for (const name of names) {
+      try {
+        const res = await fetchImpl(fixtureBase + name + '.json');
+        if (res.ok) return res.json();
+      } catch (err) { /* try the next candidate */ }
+    }
+    throw providerError('No fixture for ' + names.join(' / '), 'fixtures');
+  }
+
+  async function fixtureList(names, page, filter) {
+    if (page > 1) return { data: [], pagination: { has_next_page: false, current_page: page } };
+    const res = normalizeList(await fixtureFetch(...names, 'top'), 'fixtures');
+    if (filter) res.data = res.data.filter(filter);
+    return res;
+  }
+
+  const fixtureProvider = {
+    name: 'fixtures',
+    label: 'Local fixtures (offline)',
+    ops: {
+      search: (filters, page) => {
+        const q = (filters.q || '').toLowerCase();
+        return fixtureList(['search'], page, q ? a => [a.title].concat(a.titles.map(t => t.title)).some(t => (t || '').toLowerCase().includes(q)) : null);
+      },
+      top: (filter, page) => fixtureList([filter.type === 'movie' ? 'movies' : 'top'], page, filter.type === 'movie' ? a => a.type === 'Movie' : null),
+      season: (year, season, page) => fixtureList([`season-${year}-${season}`, 'season'], page),
+      seasonNow: () => fixtureList(['seasonNow', 'season'], 1),
+      seasonUpcoming: () => fixtureList(['seasonUpcoming'], 1),
+      schedules: (page) => fixtureList(['schedules'], page),
+      details: async (id) => {
+        try {
+          const res = await fixtureFetch(`anime-${id}`);
+          return { data: normalizeAnime(res.data || res, 'fixtures') };
+        } catch (err) {
+          // fall back to the list entry so the modal still opens
+          const list = await fixtureList(['top'], 1, a => String(a.mal_id) === String(id));
+          if (!list.data.length) throw err;
+          return { data: list.data[0] };
+        }
+      },
+      part: (id, part) => fixtureFetch(`anime-${id}-${part}`),
+      episodes: (id) => fixtureFetch(`anime-${id}-episodes`),
+      byGenre: (genreId, page) => {
+        const ids = String(genreId).split(',');
+        const tags = a => a.genres.concat(a.themes, a.demographics).map(g => String(g.mal_id));
+        return fixtureList([`genre-${genreId}`], page, a => ids.every(id => tags(a).includes(id)));
+      },
+      byProducer: (producerId, page) => fixtureList([`producer-${producerId}`], page, a => a.studios.concat(a.producers || []).some(s => String(s.mal_id) === String(producerId))),
+      genres: (filter) => (filter && filter !== 'genres' ? fixtureFetch(`genres-${filter}`).catch(() => ({ data: [] })) : fixtureFetch('genres')),
+      random: async () => {
+        const list = await fixtureList(['top'], 1);
+        return { data: list.data[Math.floor(Math.random() * list.data.length)] || null };
+      },
+    },
+  };
+
+  const PROVIDERS = { jikan: jikanProvider, anilist: anilistProvider, fixtures: fixtureProvider };
+
+  function activeProvider() {
+    return PROVIDERS[providerOverride] || PROVIDERS[dataSource.provider] || jikanProvider;
+  }
+
+  /* Run `op` on the active provider; ops it lacks go to Jikan, and failures fail over when enabled */
+  async function providerCall(op, args, opts = {}) {
+    const primary = activeProvider();
+    const chain = [primary.ops[op] ? primary : jikanProvider];
+    if (dataSource.fallback && primary !== fixtureProvider) {
+      Object.values(PROVIDERS).forEach(p => { if (p !== fixtureProvider && !chain.includes(p) && p.ops[op]) chain.push(p); });
+    }
+    let firstErr = null;
+    for (const provider of chain) {
+      try {
+        return await provider.ops[op](...args, opts);
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        firstErr = firstErr || err; // the primary's error is the meaningful one
+        if (chain.length > 1) console.warn(`${provider.label} failed for ${op}; trying next source`, err);
+      }
+    }
+    throw firstErr;
+  }
+
+  /** @param {{ provider?: string, fallback?: boolean, corsProxy?: string }} patch */
+  function setDataSource(patch) {
+    dataSource = Object.assign({}, dataSource, patch);
+    storeSet(DATA_SOURCE_KEY, dataSource);
+    // everything in memory came from the previous source
+    Object.keys(detailsCache).forEach(k => { delete detailsCache[k]; });
+    events.emit('source:changed', { dataSource: Object.assign({}, dataSource) });
+  }
+
+  /* ---------- Loaders (opts: { priority, signal } reach the scheduler) ---------- */
+  const detailsCache = {};
+
+  /** @returns {Promise<?ListPage>} */
+  async function searchAnime(q, limit = 12, opts = {}) {
+    if (!q) return null;
+    return providerCall('search', [{ q }, 1, limit], opts);
+  }
+
+  /* Full /anime search; filters use Jikan's query names (see SEARCH_FILTER_KEYS)
+     @returns {Promise<ListPage>} */
+  async function searchAnimeAdvanced(filters = {}, page = 1, limit = PAGE_SIZE, opts = {}) {
+    return providerCall('search', [pickSearchFilters(filters), page, limit], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getTopAnime(page = 1, limit = PAGE_SIZE, opts = {}) {
+    return providerCall('top', [{}, page, limit], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getTopMovies(page = 1, limit = PAGE_SIZE, opts = {}) {
+    return providerCall('top', [{ type: 'movie' }, page, limit], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getSeasonsNow(opts = {}) {
+    return providerCall('seasonNow', [], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getSeasonsUpcoming(opts = {}) {
+    return providerCall('seasonUpcoming', [], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getSeason(year, season, page = 1, opts = {}) {
+    return providerCall('season', [year, season, page], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getSchedules(page = 1, opts = {}) {
+    return providerCall('schedules', [page], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getAnimeByGenre(genreId, page = 1, limit = PAGE_SIZE, opts = {}, order = null) {
+    return providerCall('byGenre', [genreId, page, limit, order || { order_by: 'members', sort: 'desc' }], opts);
+  }
+
+  /* filter: '' (all) | 'genres' | 'explicit_genres' | 'themes' | 'demographics'
+     @returns {Promise<{ data: Array<{ mal_id: number, name: string, count?: number }> }>} */
+  async function getGenresList(opts = {}, filter = '') {
+    return providerCall('genres', [filter], opts);
+  }
+
+  /* Studios / producers / licensors, by title count (or matching query.q)
+     @returns {Promise<{ data: Array<{ mal_id: number, name: string, count: number }>, pagination: Object }>} */
+  async function getProducers(query = {}, page = 1, limit = 25, opts = {}) {
+    return providerCall('producers', [query, page, limit], opts);
+  }
+
+  /** @returns {Promise<{ data: { mal_id: number, name: string, count: number, about: string } }>} */
+  async function getProducer(id, opts = {}) {
+    return providerCall('producer', [id], opts);
+  }
+
+  /** @returns {Promise<ListPage>} */
+  async function getAnimeByProducer(producerId, page = 1, limit = PAGE_SIZE, opts = {}, order = null) {
+    return providerCall('byProducer', [producerId, page, limit, order || { order_by: 'members', sort: 'desc' }], opts);
+  }
+
+  /** @returns {Promise<{ data: ?Anime }>} a fresh roll every call; sfw drops adult titles server-side */
+  async function getRandomAnime(opts = {}) {
+    return providerCall('random', [{ sfw: !!opts.sfw }], opts);
+  }
+
+  /** @returns {Promise<{ data: Anime }>} */
+  async function getAnimeDetails(id, opts = {}) {
+    if (!id) throw new Error('No id');
+    if (detailsCache[id]) return detailsCache[id];
+    const data = await providerCall('details', [id], opts);
+    detailsCache[id] = data;
+    return data;
+  }
+
+  /* Warm the details cache in the background (card hover/focus) */
+  function prefetchDetails(id) {
+    if (!id || detailsCache[id] || cacheGet(`anime:${id}`, CACHE_TTL_MS * 24)) return;
+    getAnimeDetails(id, { priority: PRIORITY.low }).catch(() => {});
+  }
+
+  /* Detail sub-resources (modal tabs). 'part' is characters/staff/recommendations/statistics */
+  async function getAnimePart(id, part, opts = {}) {
+    return providerCall('part', [id, part], opts);
+  }
+
+  async function getAnimeEpisodes(id, page = 1, opts = {}) {
+    return providerCall('episodes', [id, page], opts);
+  }
+
+  /* Walk a paginated endpoint until has_next_page is false: fetchPage(page) -> list payload.
+     Returns { data } deduped by mal_id; maxPages only guards against a pagination that never ends */
+  async function fetchAllPages(fetchPage, maxPages = WALK_MAX_PAGES) {
+    let all = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const res = await fetchPage(page);
+      all = all.concat(res && res.data ? res.data : []);
+      if (!(res && res.pagination && res.pagination.has_next_page)) break;
+    }
+    const seen = new Set();
+    return { data: all.filter(a => !seen.has(a.mal_id) && seen.add(a.mal_id)) };
+  }
+
+  /* ---------- Feeds: named loaders that announce their result as feed:loaded ---------- */
+  const FEEDS = {
+    top: (p, o) => getTopAnime(p.page, p.limit, o),
+    movies: (p, o) => getTopMovies(p.page, p.limit, o),
+    seasonNow: (p, o) => getSeasonsNow(o),
+    upcoming: (p, o) => getSeasonsUpcoming(o),
+    season: (p, o) => fetchAllPages(page => getSeason(p.year, p.season, page, o)),
+    schedule: (p, o) => fetchAllPages(page => getSchedules(page, o)),
+    genre: (p, o) => getAnimeByGenre(p.genre, p.page, p.limit, o, p.order), // genre: one id or "1,4" (titles with all of them)
+    producer: (p, o) => getAnimeByProducer(p.producer, p.page, p.limit, o, p.order),
+    search: (p, o) => searchAnimeAdvanced(p.filters, p.page, p.limit, o),
+  };
+
+  /**
+   * @param {string} feed key of FEEDS
+   * @param {Object} [params] page, limit, plus the feed's own (year/season, genre/order, filters)
+   * @param {RequestOpts & { target?: * }} [opts]
+   * @returns {Promise<FeedEvent>}
+   */
+  async function loadFeed(feed, params = {}, opts = {}) {
+    const load = FEEDS[feed];
+    if (!load) throw new Error('Unknown feed: ' + feed);
+    const { target = null, ...requestOpts } = opts;
+    const p = Object.assign({ page: 1, limit: PAGE_SIZE }, params);
+    const res = await load(p, requestOpts);
+    const event = {
+      feed, params: p, target, page: p.page,
+      items: dedupeById(res && res.data),
+      hasNext: !!(res && res.pagination && res.pagination.has_next_page),
+    };
+    events.emit('feed:loaded', event);
+    return event;
+  }
+
+  /* Ask whoever renders details (the modal in the page) to show this anime */
+  function openAnime(id) {
+    if (!id) return;
+    events.emit('modal:open', { id });
+  }
+
+  /* ---------- MyList store (local-first; entries keyed by mal_id) ---------- */
+  let myList = storeGet(MYLIST_KEY, {}) || {};
+
+  function saveMyList(type, entries, source = 'local') {
+    if (!storeSet(MYLIST_KEY, myList)) events.emit('storage:error', { key: MYLIST_KEY });
+    events.emit('list:changed', { type, entries, source });
+  }
+
+  /** @returns {?ListEntry} */
+  function listGet(id){ return myList[String(id)] || null; }
+  /** @returns {ListEntry[]} newest first */
+  function listAll(status = null) {
+    const all = Object.values(myList);
+    const filtered = status && status !== 'all' ? all.filter(e => e.status === status) : all;
+    return filtered.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+  function listCounts() {
+    const counts = { all: 0 };
+    LIST_STATUSES.forEach(s => { counts[s] = 0; });
+    Object.values(myList).forEach(e => { counts.all++; counts[e.status] = (counts[e.status] || 0) + 1; });
+    return counts;
+  }
+
+  /** @param {Anime} anime @returns {?ListEntry} the existing entry when already listed */
+  function addToMyList(anime, status = 'plan-to-watch') {
+    const id = anime && (anime.mal_id || anime.id);
+    if (!id) return null;
+    const existing = listGet(id);
+    if (existing) return existing;
+    const entry = normalizeListEntry({
+      id,
+      title: anime.title,
+      image: anime.images?.jpg?.image_url || anime.image || '',
+      totalEpisodes: anime.episodes || 0,
+      status,
+    });
+    myList[entry.id] = entry;
+    applyStatusSideEffects(entry, status);
+    saveMyList('add', [entry]);
+    return entry;
+  }
+
+  function removeFromMyList(id) {
+    const entry = listGet(id);
+    if (!entry) return;
+    delete myList[entry.id];
+    saveMyList('remove', [entry]);
+  }
+
+  /* Apply a partial update (status, episodesWatched, score, dates)
+     @returns {?ListEntry} */
+  function updateListEntry(id, patch) {
+    const entry = listGet(id);
+    if (!entry) return null;
+    const next = normalizeListEntry(Object.assign({}, entry, patch, { updatedAt: nowMs() }));
+    if (patch.status && patch.status !== entry.status) applyStatusSideEffects(next, patch.status);
+    if (next.totalEpisodes && next.episodesWatched >= next.totalEpisodes && next.status === 'watching') {
+      applyStatusSideEffects(next, 'completed');
+    }
+    myList[next.id] = next;
+    saveMyList('update', [next]);
+    return next;
+  }
+
+  function incrementEpisode(id) {
+    const entry = listGet(id);
+    if (!entry) return null;
+    if (entry.totalEpisodes && entry.episodesWatched >= entry.totalEpisodes) return entry;
+    const patch = { episodesWatched: entry.episodesWatched + 1 };
+    if (entry.status === 'plan-to-watch' || entry.status === 'on-hold') patch.status = 'watching';
+    return updateListEntry(id, patch);
+  }
+
+  /* Write whole entries (imports, remote pulls) with one save + one event.
+     source: 'local' for user edits, 'remote' for copies that came from a sync backend */
+  function putListEntries(entries, source = 'local') {
+    const written = (entries || []).filter(e => e && e.id).map(normalizeListEntry);
+    if (!written.length) return [];
+    written.forEach(e => { myList[e.id] = e; });
+    saveMyList('bulk', written, source);
+    return written;
+  }
+
+  /* Re-read the store (another tab wrote it) */
+  function reloadList() {
+    myList = storeGet(MYLIST_KEY, {}) || {};
+    events.emit('list:changed', { type: 'reload', entries: Object.values(myList), source: 'storage' });
+  }
+
+  /* ---------- Random picker ("what should I watch next") ----------
+     source 'random': re-roll /random/anime until the constraints match.
+     source 'backlog': draw from plan-to-watch, looking up details to check constraints.
+     weight: '' (even odds), 'score' (favor higher MAL score), 'oldest' (favor long-waiting backlog entries). */
+  function pickHistory() { return storeGet(PICK_HISTORY_KEY, []) || []; }
+  function rememberPick(id) {
+    const key = String(id);
+    storeSet(PICK_HISTORY_KEY, [key].concat(pickHistory().filter(x => x !== key)).slice(0, PICK_HISTORY_MAX));
+  }
+
+  // details we already have (memory or the Jikan cache); no request
+  function knownAnime(id) {
+    if (detailsCache[id]) return detailsCache[id].data;
+    const cached = cacheGet(`anime:${id}`, Infinity);
+    return cached && cached.data ? normalizeAnime(cached.data) : null;
+  }
+
+  function backlogWeight(entry, weight) {
+    if (weight === 'oldest') return (nowMs() - (entry.updatedAt || nowMs())) / 86400000 + 1; // days waiting
+    if (weight === 'score') {
+      const known = knownAnime(entry.id);
+      return Math.pow((known && known.score) || 6.5, 3); // 9 vs 7 is ~2x as likely
+    }
+    return 1;
+  }
+
+  async function pickFromRandom(c, opts) {
+    const history = pickHistory();
+    for (let tries = 1; tries <= PICK_MAX_TRIES; tries++) {
+      if (opts.onTry) opts.onTry(tries);
+      const res = await getRandomAnime(Object.assign({}, opts, { sfw: c.excludeAdult }));
+      const anime = res && res.data;
+      if (!anime || !anime.mal_id || history.includes(String(anime.mal_id))) continue;
+      const entry = listGet(anime.mal_id);
+      if (entry && entry.status !== 'plan-to-watch') continue; // already watching, seen or dropped
+      if (!matchesPickConstraints(anime, c)) continue;
+      // score weighting for random rolls: keep a 9 ~81% of the time, a 6 ~36%
+      if (c.weight === 'score' && Math.random() > Math.pow((anime.score || 5) / 10, 2)) continue;
+      return { anime, entry, tries, source: 'random' };
+    }
+    return null;
+  }
+
+  async function pickFromBacklog(c, opts) {
+    const history = pickHistory();
+    let pool = listAll('plan-to-watch');
+    const unseen = pool.filter(e => !history.includes(e.id));
+    if (unseen.length) pool = unseen; // a small backlog runs out of unseen picks; allow repeats then
+    if (c.maxEpisodes) pool = pool.filter(e => !e.totalEpisodes || e.totalEpisodes <= c.maxEpisodes);
+    for (let tries = 1; pool.length && tries <= PICK_MAX_TRIES; tries++) {
+      if (opts.onTry) opts.onTry(tries);
+      const entry = weightedChoice(pool, e => backlogWeight(e, c.weight));
+      pool = pool.filter(e => e !== entry);
+      let anime = knownAnime(entry.id);
+      if (!anime) {
+        try { anime = (await getAnimeDetails(entry.id, opts)).data; }
+        catch (err) { if (isAbortError(err)) throw err; continue; }
+      }
+      if (matchesPickConstraints(anime, c)) return { anime, entry, tries, source: 'backlog' };
+    }
+    return null;
+  }
+
+  /**
+   * @param {{ source?: 'random' | 'backlog', weight?: string, minScore?: number, maxEpisodes?: number,
+   *           genres?: number[], type?: string, excludeAdult?: boolean }} constraints
+   * @param {RequestOpts & { onTry?: Function }} [opts] onTry(n) is called before every roll / lookup
+   * @returns {Promise<?{ anime: Anime, entry: ?ListEntry, tries: number, source: string }>} null when nothing matched
+   */
+  async function pickRandom(constraints = {}, opts = {}) {
+    const c = Object.assign({ source: 'random', weight: '', excludeAdult: true }, constraints);
+    const pick = c.source === 'backlog' ? await pickFromBacklog(c, opts) : await pickFromRandom(c, opts);
+    if (pick) {
+      rememberPick(pick.anime.mal_id);
+      events.emit('pick:made', pick);
+    }
+    return pick;
+  }
+
+  return {
+    on: events.on, off: events.off, once: events.once, emit: events.emit,
+    // storage
+    cacheGet, cacheSet, cacheRemove, storeGet, storeSet, pruneCache, searchLocal, indexedAnime,
+    // network + sources
+    scheduleRequest, providers: PROVIDERS, activeProvider, setDataSource,
+    getDataSource: () => Object.assign({}, dataSource),
+    isProviderPinned: () => !!PROVIDERS[providerOverride],
+    // loaders
+    searchAnime, searchAnimeAdvanced, getTopAnime, getTopMovies, getSeasonsNow, getSeasonsUpcoming, getSeason,
+    getSchedules, getAnimeByGenre, getGenresList, getProducers, getProducer, getAnimeByProducer, getAnimeDetails, prefetchDetails, getAnimePart, getAnimeEpisodes,
+    fetchAllPages, detailsCache, feeds: Object.keys(FEEDS), loadFeed, openAnime, getRandomAnime,
+    // picker
+    pickRandom, pickHistory,
+    // MyList
+    listGet, listAll, listCounts, addToMyList, removeFromMyList, updateListEntry, incrementEpisode,
+    putListEntries, reloadList,
+  };
+}
+
+return {
+  createCore, memoryStorage, createEmitter,
+  API_BASE, ANILIST_GRAPHQL, CACHE_TTL_MS, CACHE_STALE_MAX_MS, PAGE_SIZE, STORAGE_PREFIX, PRIORITY,
+  MYLIST_KEY, LIST_STATUSES, LIST_STATUS_LABELS, SEARCH_FILTER_KEYS, SEASON_RANGES, SEASON_NAMES, JST_OFFSET_MS, WEEKDAYS,
+  abortError, isAbortError, todayISO, dedupeById, pickSearchFilters, filtersToParams, currentSeason, shiftSeason,
+  nextBroadcast, normalizeAnime, normalizeListEntry, fromAniList, anilistSearchVars, weightedChoice, matchesPickConstraints,
+  TITLE_LANGUAGES, foldTitle, animeTitles, displayTitle, matchTitle, makeSnapshot, readSnapshot, encodeSnapshot, decodeSnapshot, compareLists, LOVED_SCORE,
+};
+});
@@ -0,0 +1,11 @@
+/* core.mjs — ES module entry for the AnimeRat core
+   import AnimeRatCore, { createCore } from './core.mjs';
+   core.js is the implementation (classic script / CommonJS); this just re-exports it.
+   Helpers and constants live on the default export (AnimeRatCore.matchTitle, ...), so this
+   file never has to track core.js's export list. */
+import './core.js';
+
+const AnimeRatCore = globalThis.AnimeRatCore;
+
+export default AnimeRatCore;
+export const { createCore } = AnimeRatCore;
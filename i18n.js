@@ -0,0 +1,998 @@
+/* i18n.js — AnimeRat localization
+   - Message catalogs (English + Japanese). Keys are dotted; values may use {name} placeholders.
+   - Plurals: a message can be { one, other, ... } and is picked with Intl.PluralRules on vars.count.
+   - Dates, numbers and relative times go through Intl; nothing is formatted by hand.
+   A key missing from a catalog falls back to English, then to the key itself.
+   Loads as a classic script (window.AnimeRatI18n) or via require('./i18n.js'), like core.js.
+*/
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  root.AnimeRatI18n = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+'use strict';
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = { en: 'English', ja: '日本語' };
+
+const MESSAGES = {
+  en: {
+    'app.untitled': 'Untitled',
+    'app.loading': 'Loading...',
+    'app.tryAgain': 'Could not load this section. Try again later.',
+    'app.retry': 'Retry',
+    'app.cancel': 'Cancel',
+    'app.signIn': 'Sign in',
+    'net.online': 'Back online',
+    'net.offline': 'You are offline — showing saved data',
+    'net.offlineBadge': 'Offline',
+
+    'nav.home': 'Home',
+    'nav.top': 'Top Rated',
+    'nav.airing': 'Airing Now',
+    'nav.upcoming': 'Upcoming',
+    'nav.movies': 'Movies',
+    'nav.genres': 'Genres',
+    'nav.producers': 'Studios',
+    'nav.mylist': 'My List',
+    'nav.stats': 'My Stats',
+    'nav.open': 'Open navigation',
+    'heading.top': 'Top Rated',
+    'heading.airing': 'Airing',
+    'heading.upcoming': 'Upcoming',
+    'heading.movies': 'Movies',
+    'heading.genres': 'Genres',
+    'heading.producers': 'Studios & Producers',
+    'heading.mylist': 'My List',
+    'heading.stats': 'My Stats',
+    'heading.snapshot': 'Shared List',
+    'heading.forYou': 'For You',
+    'sidebar.genres': 'Filter by genre',
+    'sidebar.source': 'Data source',
+    'sidebar.fallback': 'Fall back to other sources on errors',
+    'sidebar.proxy': 'CORS proxy (optional, use {url})',
+    'sidebar.actions': 'Quick actions',
+    'sidebar.refresh': 'Refresh Data',
+    'sidebar.random': 'Random Pick',
+    'hero.title': 'Discover anime you\'ll love',
+    'hero.sub': 'Featured picks, airing now, upcoming releases — clean, fast, and private.',
+    'hero.exploreTop': 'Explore Top',
+    'hero.airingNow': 'Airing Now',
+    'hero.loading': 'Loading featured...',
+    'hero.none': 'No featured anime',
+    'hero.details': 'Details',
+    'hero.addToList': 'Add to MyList',
+    'hero.because': 'Because you liked {title}',
+    'controls.sort': 'Sort',
+    'controls.view': 'View',
+    'controls.grid': 'Grid view',
+    'controls.list': 'List view',
+    'controls.loadMore': 'Load more',
+
+    'search.placeholder': 'Search anime, studio, genre...',
+    'search.label': 'Search anime',
+    'search.searching': 'Searching “{q}”...',
+    'search.searchingAll': 'Searching...',
+    'search.failed': 'Search failed. Try again.',
+    'search.needInput': 'Add a query or a filter',
+    'search.advanced': 'Advanced search',
+    'search.genreIncluding': 'Including {genre}',
+    'search.genreExcluding': 'Excluding {genre}',
+    'suggest.label': 'Search suggestions',
+    'suggest.recent': 'Recent searches',
+    'suggest.clear': 'Clear recent searches',
+    'titleType.Default': 'Title',
+    'titleType.English': 'English',
+    'titleType.Japanese': 'Japanese',
+    'titleType.Synonym': 'Also known as',
+    'preset.nameFirst': 'Name your preset first',
+    'preset.saved': 'Preset “{name}” saved',
+    'preset.pickToDelete': 'Pick a preset to delete',
+    'preset.deleted': 'Preset “{name}” deleted',
+    'preset.load': 'Load preset…',
+    'preset.none': 'No saved presets',
+    'preset.saved.label': 'Saved presets',
+    'preset.name': 'Preset name',
+    'preset.save': 'Save preset',
+    'preset.delete': 'Delete',
+
+    'feed.empty': 'No items.',
+    'feed.loadMoreFailed': 'Could not load more',
+    'feed.homeFailed': 'Could not load anime. Try Refresh Data.',
+    'feed.colTitle': 'Title',
+    'feed.colScore': 'Score',
+    'feed.colEpisodes': 'Episodes',
+    'feed.colStatus': 'Status',
+    'card.episodes': { one: '{count} ep', other: '{count} eps' },
+    'card.more': 'More options for {title}',
+    'card.onList': 'On your list: {status}',
+    'genres.pick': 'Pick one or more genres above to browse titles.',
+    'genres.loading': 'Loading genres...',
+    'genres.failed': 'Could not load genres.',
+    'genres.showing': 'Showing titles tagged {names} · ',
+    'genres.clear': 'Clear',
+    'genres.unavailable': 'Genres unavailable right now.',
+    'genres.group.genres': 'Genres',
+    'genres.group.themes': 'Themes',
+    'genres.group.demographics': 'Demographics',
+    'genres.group.explicit_genres': 'Explicit',
+    'producers.search': 'Find a studio or producer',
+    'producers.searchBtn': 'Search',
+    'producers.all': '← All studios & producers',
+    'producers.titles': { one: '{count} title', other: '{count} titles' },
+    'producers.established': 'est. {year}',
+    'producers.loading': 'Loading studios...',
+    'producers.none': 'No studios or producers found.',
+    'producers.failed': 'Could not load studios.',
+    'pager.prev': '← Prev',
+    'pager.next': 'Next →',
+    'pager.page': 'Page {page}',
+    'pager.label': 'Pagination',
+
+    'schedule.timezone': 'Times shown in {tz}.',
+    'schedule.localTime': 'local time',
+    'schedule.today': 'Today · {day}',
+    'schedule.empty': 'Nothing scheduled',
+    'schedule.unknown': { one: '{count} title has no fixed broadcast slot.', other: '{count} titles have no fixed broadcast slot.' },
+
+    'modal.close': 'Close',
+    'modal.loading': 'Loading...',
+    'modal.notFound': 'Not found',
+    'modal.score': 'Score: {score}',
+    'modal.episodes': 'Episodes: {episodes}',
+    'modal.status': 'Status: {status}',
+    'modal.noSynopsis': 'No synopsis available.',
+    'modal.addToList': '+ MyList',
+    'modal.startWatching': '▶ Start watching',
+    'modal.rate': 'Rate',
+    'modal.more': 'More options',
+    'modal.trailer': 'Trailer',
+    'modal.errorTitle': 'Error loading details',
+    'modal.error': 'Could not load details. Try again later.',
+    'modal.tabsLabel': 'Anime details',
+    'tab.overview': 'Overview',
+    'tab.characters': 'Characters',
+    'tab.staff': 'Staff',
+    'tab.episodes': 'Episodes',
+    'tab.relations': 'Related',
+    'tab.recommendations': 'Recommendations',
+    'tab.stats': 'Stats',
+    'tab.malreviews': 'MAL Reviews',
+    'tab.failed': 'Could not load this tab. Try again later.',
+    'tab.noCharacters': 'No character data.',
+    'tab.noStaff': 'No staff data.',
+    'tab.noEpisodes': 'No episode list available.',
+    'tab.noRecommendations': 'No recommendations yet.',
+    'tab.noStats': 'No statistics available.',
+    'tab.noRelations': 'No related entries.',
+    'tab.buildingOrder': 'Building watch order...',
+    'tab.members': 'Members: {count}',
+    'tab.votes': { one: '{count} vote', other: '{count} votes' },
+    'tab.voiceActor': 'CV: {name}',
+    'info.studios': 'Studios',
+    'info.producers': 'Producers',
+    'info.source': 'Source',
+    'info.aired': 'Aired',
+    'info.broadcast': 'Broadcast',
+    'info.themes': 'Themes',
+    'info.demographic': 'Demographic',
+    'info.openings': 'Openings: {songs}',
+    'info.endings': 'Endings: {songs}',
+    'info.watchOn': 'Watch on',
+
+    'reviews.title': 'Reviews',
+    'reviews.empty': 'No reviews yet. Be the first!',
+    'reviews.malEmpty': 'No MyAnimeList reviews yet.',
+    'reviews.edited': '(edited)',
+    'reviews.you': 'You',
+    'reviews.guest': 'Guest',
+    'reviews.malUser': 'MAL user',
+    'reviews.readFull': 'Read full review',
+    'reviews.community': 'Community: ★ {avg}/5 ({count})',
+    'reviews.write': 'Write a review',
+    'reviews.submit': 'Submit',
+    'reviews.update': 'Update',
+    'reviews.cancelEdit': 'Cancel edit',
+    'reviews.confirmDelete': 'Delete your review?',
+    'reviews.deleted': 'Review deleted',
+    'reviews.missingId': 'Missing anime id',
+    'reviews.needInput': 'Provide rating or review text',
+    'reviews.updated': 'Review updated',
+    'reviews.savedLocal': 'Review saved on this device',
+    'reviews.submitted': 'Review submitted',
+    'reviews.actionFailed': 'Review action failed: {error}',
+    'reviews.submitFailed': 'Failed to submit review: {error}',
+    'reviews.spoiler': 'Spoiler — click to reveal',
+    'reviews.helpful': 'Helpful ({count})',
+    'reviews.edit': 'Edit',
+    'reviews.delete': 'Delete',
+    'reviews.stars': { one: '{count} star', other: '{count} stars' },
+    'reviews.sortNewest': 'Newest',
+    'reviews.sortHighest': 'Highest rated',
+    'reviews.sortHelpful': 'Most helpful',
+    'reviews.placeholder': 'Share your thoughts... wrap plot details in [spoiler]...[/spoiler]',
+    'reviews.rateLabel': 'Rate this anime',
+    'reviews.wholeSpoiler': 'Whole review is a spoiler',
+
+    'status.watching': 'Watching',
+    'status.completed': 'Completed',
+    'status.on-hold': 'On Hold',
+    'status.dropped': 'Dropped',
+    'status.plan-to-watch': 'Plan to Watch',
+    'status.all': 'All',
+    'mylist.empty': 'Nothing here yet. Use "+ MyList" on any anime.',
+    'mylist.isEmpty': 'MyList is empty',
+    'mylist.added': 'Added to MyList',
+    'mylist.already': 'Already in MyList',
+    'mylist.removed': 'Removed from MyList',
+    'mylist.remove': 'Remove',
+    'mylist.plusOne': '+1 ep',
+    'mylist.plusOneTitle': 'Watched one more episode',
+    'mylist.progress': '{watched} / {total} eps',
+    'mylist.status': 'Watch status',
+    'mylist.score': 'Your score',
+    'mylist.startDate': 'Start date',
+    'mylist.finishDate': 'Finish date',
+    'mylist.noScore': 'No score',
+    'mylist.saveFailed': 'Could not save MyList (storage full?)',
+    'mylist.exportAs': 'Export as',
+    'mylist.export': 'Export',
+    'mylist.import': 'Import…',
+    'mylist.exported': { one: 'Exported {count} entry', other: 'Exported {count} entries' },
+    'mylist.imported': { one: 'Imported {count} entry', other: 'Imported {count} entries' },
+    'mylist.filterLabel': 'Filter by watch status',
+    'anime.notLoaded': 'Anime not loaded yet',
+
+    'source.changed': 'Data source: {label}',
+    'source.proxyInvalid': 'Proxy must be an http(s) URL',
+    'source.proxySaved': 'CORS proxy saved',
+    'source.proxyCleared': 'CORS proxy cleared',
+
+    'stats.empty': 'Add some anime to MyList to see your stats.',
+    'stats.pngFailed': 'PNG export failed',
+    'stats.noData': 'Not enough data yet',
+    'stats.exportPng': 'Export {chart} as PNG',
+    'stats.fetching': 'Fetching details… {done}/{total}',
+    'stats.exportJson': 'Export JSON',
+    'stats.partial': "Details cached for {have}/{total} titles; genres, studios and watch time use what's cached.",
+    'stats.fetchMissing': 'Fetch missing details',
+    'stats.days': 'Days watched',
+    'stats.episodes': { one: '{count} episode', other: '{count} episodes' },
+    'stats.mean': 'Mean score',
+    'stats.malMean': 'MAL mean of same titles: {score}',
+    'stats.completion': 'Completion rate',
+    'stats.started': '{done} of {total} started',
+    'stats.titles': 'Titles',
+    'stats.scoreChart': 'Score distribution',
+    'stats.timelineChart': 'Started vs finished (12 months)',
+    'stats.startedSeries': 'Started',
+    'stats.finishedSeries': 'Finished',
+    'stats.topGenres': 'Top genres',
+    'stats.topStudios': 'Top studios',
+
+    'menu.removeFromList': 'Remove from MyList ({status})',
+    'menu.stopReminders': 'Stop episode reminders',
+    'menu.options': 'Options for {title}',
+    'menu.notify': 'Notify me about new episodes',
+    'menu.copyLink': 'Copy share link',
+    'menu.report': 'Report…',
+    'share.copied': 'URL copied to clipboard',
+    'share.copyPrompt': 'Copy this URL',
+    'report.title': 'Report “{title}”',
+    'report.pickReason': 'Pick a reason',
+    'report.sent': 'Report sent — thanks!',
+    'report.queued': 'Report saved; it will be sent when reporting is available',
+    'report.question': "What's wrong?",
+    'report.details': 'Details (optional)',
+    'report.send': 'Send report',
+    'report.reason.wrong-info': 'Incorrect information',
+    'report.reason.inappropriate': 'Inappropriate content',
+    'report.reason.broken-media': 'Broken image or trailer',
+    'report.reason.duplicate': 'Duplicate entry',
+    'report.reason.other': 'Something else',
+    'picker.picked': 'Picked: {title}',
+    'picker.watching': 'Watching “{title}” — enjoy!',
+    'picker.title': 'What should I watch next?',
+    'picker.source': 'Pick from',
+    'picker.sourceRandom': 'Any anime (random)',
+    'picker.sourceBacklog': 'My Plan to Watch',
+    'picker.odds': 'Odds',
+    'picker.even': 'Even',
+    'picker.favorScore': 'Favor higher scores',
+    'picker.favorOldest': 'Favor oldest backlog',
+    'picker.maxEpisodes': 'Max episodes',
+    'picker.genres': 'Genres (any of)',
+    'picker.excludeAdult': 'Exclude adult ratings',
+    'picker.roll': '🎲 Roll',
+    'picker.backlogEmpty': 'Your Plan to Watch list is empty.',
+    'picker.rolling': 'Rolling…',
+    'picker.rerolling': 'Re-rolling… ({count})',
+    'picker.noMatch': 'Nothing matched after several tries — loosen the filters and roll again.',
+    'picker.failed': 'Could not reach the anime database. Try again.',
+
+    'reminders.label': 'Episode reminders',
+    'reminders.set': 'Reminder set — next episode {when}',
+    'reminders.setUnknown': 'Reminder set (no upcoming broadcast known yet)',
+    'reminders.removed': 'Reminder removed',
+    'reminders.empty': 'Use “Notify me” on any title to get episode reminders.',
+    'reminders.heading': 'Reminders ({count})',
+    'reminders.labelNew': 'Episode reminders, {count} new',
+    'reminders.muted': 'Muted',
+    'reminders.snoozedUntil': 'Snoozed until {when}',
+    'reminders.next': 'Next: {when}',
+    'reminders.noBroadcast': 'No upcoming broadcast',
+    'reminders.snooze': 'Snooze 1d',
+    'reminders.unsnooze': 'Unsnooze',
+    'reminders.mute': 'Mute',
+    'reminders.unmute': 'Unmute',
+    'inbox.title': 'New episodes since your last visit',
+    'inbox.markSeen': 'Mark all seen',
+    'inbox.empty': 'Nothing new.',
+    'inbox.episodes': { one: '{count} episode', other: '{count} episodes' },
+    'inbox.episode': 'Ep {ep}',
+    'inbox.newEpisode': 'new episode',
+
+    'snapshot.none': 'Open a snapshot link, or use "Open snapshot…" on My List.',
+    'snapshot.opening': 'Opening snapshot...',
+    'snapshot.failed': 'Could not open this snapshot: {error}.',
+    'snapshot.namePrompt': 'Name to show on your snapshot (optional)',
+    'snapshot.copyPrompt': 'Copy this link',
+    'snapshot.copied': 'Snapshot link copied',
+    'snapshot.copiedLong': 'Snapshot link copied (long list: send the file if the link gets cut off)',
+    'snapshot.share': 'Share snapshot link',
+    'snapshot.shareTitle': 'Copy a link that contains your whole list',
+    'snapshot.saveFile': 'Save snapshot file',
+    'snapshot.open': 'Open snapshot…',
+    'snapshot.they': 'They',
+    'snapshot.saveShort': 'Save file',
+    'snapshot.namedList': '{name}’s list',
+    'snapshot.sharedList': 'Shared list',
+    'snapshot.theirList': 'Their list',
+    'snapshot.titles': { one: '{count} title', other: '{count} titles' },
+    'snapshot.from': 'snapshot from {date}',
+    'snapshot.readOnly': 'read-only',
+    'snapshot.compatibility': 'Compatibility',
+    'snapshot.compatibilityFrom': { one: 'from {count} title you both scored', other: 'from {count} titles you both scored' },
+    'snapshot.compatibilityNone': 'Score some shared titles to compare',
+    'snapshot.shared': 'Shared titles',
+    'snapshot.sharedSub': '{theirs} on theirs · {mine} on yours',
+    'snapshot.loved': 'Loved, not seen by you',
+    'snapshot.lovedSub': 'their {score}+ scores',
+    'snapshot.lovedHeading': 'They loved it, you haven’t seen it',
+    'snapshot.lovedEmpty': 'Nothing they rated highly is missing from your list.',
+    'snapshot.sharedHeading': 'Shared titles (biggest score gaps first)',
+    'snapshot.scoreGap': 'You {mine} · {who} {theirs}',
+    'snapshot.sharedEmpty': 'No titles in common yet.',
+    'snapshot.filterLabel': 'Filter their list by watch status',
+    'snapshot.statusEmpty': 'No titles with this status.',
+
+    'settings.appearance': 'Appearance',
+    'settings.theme': 'Theme',
+    'settings.accent': 'Accent',
+    'settings.customAccent': 'Custom',
+    'settings.resetAccent': 'Theme default',
+    'settings.motion': 'Motion',
+    'settings.language': 'Language',
+    'settings.titleLanguage': 'Anime titles',
+    'theme.system': 'System',
+    'theme.dark': 'Dark',
+    'theme.light': 'Light',
+    'theme.contrast': 'High contrast',
+    'motion.system': 'Follow system',
+    'motion.reduce': 'Reduce motion',
+    'motion.full': 'Full motion',
+    'titleLang.romaji': 'Romaji (default)',
+    'titleLang.english': 'English',
+    'titleLang.native': 'Native (Japanese)',
+
+    'common.any': 'Any',
+
+    'adv.type': 'Type',
+    'adv.status': 'Status',
+    'adv.airing': 'Airing',
+    'adv.finished': 'Finished',
+    'adv.rating': 'Rating',
+    'adv.year': 'Year',
+    'adv.yearHint': 'e.g. 2023',
+    'adv.season': 'Season',
+    'adv.wholeYear': 'Whole year',
+    'adv.minScore': 'Min score',
+    'adv.maxScore': 'Max score',
+    'adv.airedFrom': 'Aired from',
+    'adv.airedUntil': 'Aired until',
+    'adv.orderBy': 'Order by',
+    'adv.direction': 'Direction',
+    'adv.dirDefault': 'Default',
+    'adv.desc': 'Descending',
+    'adv.asc': 'Ascending',
+    'adv.genresHint': 'Genres — click to include, again to exclude',
+    'adv.clear': 'Clear',
+
+    'type.movie': 'Movie',
+    'type.special': 'Special',
+    'type.music': 'Music',
+
+    'rating.g': 'G – All ages',
+    'rating.pg': 'PG – Children',
+    'rating.r17': 'R – 17+',
+    'rating.r': 'R+ – Mild nudity',
+    'rating.rx': 'Rx – Hentai',
+
+    'season.winter': 'Winter',
+    'season.spring': 'Spring',
+    'season.summer': 'Summer',
+    'season.fall': 'Fall',
+
+    'order.relevance': 'Relevance',
+    'order.score': 'Score',
+    'order.popularity': 'Popularity',
+    'order.members': 'Members',
+    'order.favorites': 'Favorites',
+    'order.startDate': 'Start date',
+    'order.episodes': 'Episodes',
+    'order.title': 'Title',
+
+    'sort.default': 'Default order',
+    'sort.airing': 'Airing date',
+
+    'forYou.label': 'Recommended for you',
+
+    'airing.today': 'Airing today',
+    'airing.aired': 'Already aired',
+    'airing.otherTypes': 'Other',
+    'airing.prevSeason': 'Previous season',
+    'airing.nextSeason': 'Next season',
+    'airing.view': 'Airing view',
+    'airing.chart': 'Season chart',
+    'airing.schedule': 'Weekly schedule',
+
+    'episodes.filler': 'Filler',
+    'episodes.recap': 'Recap',
+    'episodes.untitled': 'Episode {ep}',
+    'episodes.more': 'Load more episodes',
+
+    'relations.prequel': 'Prequel',
+    'relations.current': 'This',
+    'relations.sequel': 'Sequel',
+    'relations.showOrder': 'Show franchise watch order',
+    'relations.side': 'side',
+    'relations.truncated': { one: 'Showing the first {count} entry of this franchise.', other: 'Showing the first {count} entries of this franchise.' },
+
+    'import.title': 'Import preview — {file}',
+    'import.summary': '{add} new · {update} updated · {conflict} conflicts · {unchanged} unchanged · {unresolved} unresolved. Nothing is saved until you apply.',
+    'import.new': 'New',
+    'import.updated': 'Updated',
+    'import.conflicts': 'Conflicts',
+    'import.unresolved': 'Unresolved (no MAL id found, skipped)',
+    'import.useImported': 'Use imported values for {title}',
+    'import.keepOrUse': '{title}: keep {local} or use {incoming}',
+    'import.untitledRow': '(untitled row)',
+    'import.apply': 'Apply import',
+    'import.reading': 'Reading {file}...',
+    'import.noEntries': 'No entries found',
+    'import.lookingUp': 'Looking up titles without a MAL id: {n}/{total}...',
+    'import.failed': 'Import failed: {error}',
+
+    'notify.title': 'New episode',
+    'notify.one': 'Episode {ep} is out',
+    'notify.many': '{count} new episodes are out',
+    'notify.some': 'A new episode is out',
+    'footer.data': 'Data via',
+  },
+
+  ja: {
+    'app.untitled': '無題',
+    'app.loading': '読み込み中…',
+    'app.tryAgain': 'このセクションを読み込めませんでした。しばらくしてからお試しください。',
+    'app.retry': '再試行',
+    'app.cancel': 'キャンセル',
+    'app.signIn': 'ログイン',
+    'net.online': 'オンラインに戻りました',
+    'net.offline': 'オフラインです — 保存済みのデータを表示しています',
+    'net.offlineBadge': 'オフライン',
+
+    'nav.home': 'ホーム',
+    'nav.top': '高評価',
+    'nav.airing': '放送中',
+    'nav.upcoming': '放送予定',
+    'nav.movies': '劇場版',
+    'nav.genres': 'ジャンル',
+    'nav.producers': 'スタジオ',
+    'nav.mylist': 'マイリスト',
+    'nav.stats': '統計',
+    'nav.open': 'ナビゲーションを開く',
+    'heading.top': '高評価',
+    'heading.airing': '放送中',
+    'heading.upcoming': '放送予定',
+    'heading.movies': '劇場版',
+    'heading.genres': 'ジャンル',
+    'heading.producers': 'スタジオ・制作会社',
+    'heading.mylist': 'マイリスト',
+    'heading.stats': 'マイ統計',
+    'heading.snapshot': '共有リスト',
+    'heading.forYou': 'あなたへのおすすめ',
+    'sidebar.genres': 'ジャンルで絞り込む',
+    'sidebar.source': 'データソース',
+    'sidebar.fallback': 'エラー時に他のソースを使う',
+    'sidebar.proxy': 'CORS プロキシ(任意、{url} を使用)',
+    'sidebar.actions': 'クイック操作',
+    'sidebar.refresh': 'データを更新',
+    'sidebar.random': 'ランダムに選ぶ',
+    'hero.title': 'きっと好きになるアニメを見つけよう',
+    'hero.sub': '注目作、放送中、放送予定 — シンプルで速く、プライバシーも安心。',
+    'hero.exploreTop': '高評価を見る',
+    'hero.airingNow': '放送中',
+    'hero.loading': '注目作を読み込み中…',
+    'hero.none': '注目作はありません',
+    'hero.details': '詳細',
+    'hero.addToList': 'マイリストに追加',
+    'hero.because': '「{title}」が好きなあなたに',
+    'controls.sort': '並び替え',
+    'controls.view': '表示',
+    'controls.grid': 'グリッド表示',
+    'controls.list': 'リスト表示',
+    'controls.loadMore': 'さらに読み込む',
+
+    'search.placeholder': 'アニメ、スタジオ、ジャンルを検索…',
+    'search.label': 'アニメを検索',
+    'search.searching': '「{q}」を検索中…',
+    'search.searchingAll': '検索中…',
+    'search.failed': '検索に失敗しました。もう一度お試しください。',
+    'search.needInput': 'キーワードか条件を指定してください',
+    'search.advanced': '詳細検索',
+    'search.genreIncluding': '{genre}を含む',
+    'search.genreExcluding': '{genre}を除外',
+    'suggest.label': '検索候補',
+    'suggest.recent': '最近の検索',
+    'suggest.clear': '検索履歴を消去',
+    'titleType.Default': 'タイトル',
+    'titleType.English': '英語',
+    'titleType.Japanese': '日本語',
+    'titleType.Synonym': '別名',
+    'preset.nameFirst': '先にプリセット名を入力してください',
+    'preset.saved': 'プリセット「{name}」を保存しました',
+    'preset.pickToDelete': '削除するプリセットを選んでください',
+    'preset.deleted': 'プリセット「{name}」を削除しました',
+    'preset.load': 'プリセットを読み込む…',
+    'preset.none': '保存済みのプリセットはありません',
+    'preset.saved.label': '保存済みのプリセット',
+    'preset.name': 'プリセット名',
+    'preset.save': 'プリセットを保存',
+    'preset.delete': '削除',
+
+    'feed.empty': '該当する作品がありません。',
+    'feed.loadMoreFailed': '続きを読み込めませんでした',
+    'feed.homeFailed': 'アニメを読み込めませんでした。「データを更新」をお試しください。',
+    'feed.colTitle': 'タイトル',
+    'feed.colScore': 'スコア',
+    'feed.colEpisodes': '話数',
+    'feed.colStatus': '放送状況',
+    'card.episodes': { other: '全{count}話' },
+    'card.more': '{title} のその他の操作',
+    'card.onList': 'マイリスト: {status}',
+    'genres.pick': '上のジャンルを1つ以上選ぶと作品が表示されます。',
+    'genres.loading': 'ジャンルを読み込み中…',
+    'genres.failed': 'ジャンルを読み込めませんでした。',
+    'genres.showing': '{names} の作品を表示中 · ',
+    'genres.clear': '解除',
+    'genres.unavailable': '現在ジャンルを取得できません。',
+    'genres.group.genres': 'ジャンル',
+    'genres.group.themes': 'テーマ',
+    'genres.group.demographics': '対象層',
+    'genres.group.explicit_genres': '成人向け',
+    'producers.search': 'スタジオ・制作会社を探す',
+    'producers.searchBtn': '検索',
+    'producers.all': '← スタジオ・制作会社一覧',
+    'producers.titles': { other: '{count}作品' },
+    'producers.established': '{year}年設立',
+    'producers.loading': 'スタジオを読み込み中…',
+    'producers.none': 'スタジオ・制作会社が見つかりません。',
+    'producers.failed': 'スタジオを読み込めませんでした。',
+    'pager.prev': '← 前へ',
+    'pager.next': '次へ →',
+    'pager.page': '{page}ページ',
+    'pager.label': 'ページ送り',
+
+    'schedule.timezone': '時刻は {tz} で表示しています。',
+    'schedule.localTime': 'ローカル時刻',
+    'schedule.today': '今日 · {day}',
+    'schedule.empty': '予定なし',
+    'schedule.unknown': { other: '{count}作品は放送枠が決まっていません。' },
+
+    'modal.close': '閉じる',
+    'modal.loading': '読み込み中…',
+    'modal.notFound': '見つかりません',
+    'modal.score': 'スコア: {score}',
+    'modal.episodes': '話数: {episodes}',
+    'modal.status': 'ステータス: {status}',
+    'modal.noSynopsis': 'あらすじはありません。',
+    'modal.addToList': '+ マイリスト',
+    'modal.startWatching': '▶ 視聴を始める',
+    'modal.rate': '評価する',
+    'modal.more': 'その他の操作',
+    'modal.trailer': '予告編',
+    'modal.errorTitle': '詳細の読み込みエラー',
+    'modal.error': '詳細を読み込めませんでした。しばらくしてからお試しください。',
+    'modal.tabsLabel': 'アニメの詳細',
+    'tab.overview': '概要',
+    'tab.characters': 'キャラクター',
+    'tab.staff': 'スタッフ',
+    'tab.episodes': 'エピソード',
+    'tab.relations': '関連作品',
+    'tab.recommendations': 'おすすめ',
+    'tab.stats': '統計',
+    'tab.malreviews': 'MAL レビュー',
+    'tab.failed': 'このタブを読み込めませんでした。しばらくしてからお試しください。',
+    'tab.noCharacters': 'キャラクター情報はありません。',
+    'tab.noStaff': 'スタッフ情報はありません。',
+    'tab.noEpisodes': 'エピソード一覧はありません。',
+    'tab.noRecommendations': 'おすすめはまだありません。',
+    'tab.noStats': '統計情報はありません。',
+    'tab.noRelations': '関連作品はありません。',
+    'tab.buildingOrder': '視聴順を作成中…',
+    'tab.members': 'メンバー数: {count}',
+    'tab.votes': { other: '{count} 票' },
+    'tab.voiceActor': 'CV: {name}',
+    'info.studios': 'スタジオ',
+    'info.producers': '制作会社',
+    'info.source': '原作',
+    'info.aired': '放送期間',
+    'info.broadcast': '放送枠',
+    'info.themes': 'テーマ',
+    'info.demographic': '対象層',
+    'info.openings': 'OP: {songs}',
+    'info.endings': 'ED: {songs}',
+    'info.watchOn': '配信サービス',
+
+    'reviews.title': 'レビュー',
+    'reviews.empty': 'まだレビューはありません。最初のレビューを書きましょう!',
+    'reviews.malEmpty': 'MyAnimeList のレビューはまだありません。',
+    'reviews.edited': '(編集済み)',
+    'reviews.you': 'あなた',
+    'reviews.guest': 'ゲスト',
+    'reviews.malUser': 'MAL ユーザー',
+    'reviews.readFull': 'レビュー全文を読む',
+    'reviews.community': 'コミュニティ: ★ {avg}/5({count}件)',
+    'reviews.write': 'レビューを書く',
+    'reviews.submit': '投稿',
+    'reviews.update': '更新',
+    'reviews.cancelEdit': '編集をやめる',
+    'reviews.confirmDelete': 'レビューを削除しますか?',
+    'reviews.deleted': 'レビューを削除しました',
+    'reviews.missingId': 'アニメ ID がありません',
+    'reviews.needInput': '評価かレビュー本文を入力してください',
+    'reviews.updated': 'レビューを更新しました',
+    'reviews.savedLocal': 'レビューをこの端末に保存しました',
+    'reviews.submitted': 'レビューを投稿しました',
+    'reviews.actionFailed': 'レビューの操作に失敗しました: {error}',
+    'reviews.submitFailed': 'レビューを投稿できませんでした: {error}',
+    'reviews.spoiler': 'ネタバレ — クリックで表示',
+    'reviews.helpful': '参考になった ({count})',
+    'reviews.edit': '編集',
+    'reviews.delete': '削除',
+    'reviews.stars': { other: '星{count}つ' },
+    'reviews.sortNewest': '新しい順',
+    'reviews.sortHighest': '評価の高い順',
+    'reviews.sortHelpful': '参考になった順',
+    'reviews.placeholder': '感想を書いてください… ネタバレは [spoiler]...[/spoiler] で囲んでください',
+    'reviews.rateLabel': 'このアニメを評価',
+    'reviews.wholeSpoiler': 'レビュー全体がネタバレ',
+
+    'status.watching': '視聴中',
+    'status.completed': '視聴完了',
+    'status.on-hold': '一時中断',
+    'status.dropped': '視聴中止',
+    'status.plan-to-watch': '視聴予定',
+    'status.all': 'すべて',
+    'mylist.empty': 'まだ何もありません。作品の「+ マイリスト」から追加できます。',
+    'mylist.isEmpty': 'マイリストは空です',
+    'mylist.added': 'マイリストに追加しました',
+    'mylist.already': 'すでにマイリストにあります',
+    'mylist.removed': 'マイリストから削除しました',
+    'mylist.remove': '削除',
+    'mylist.plusOne': '+1話',
+    'mylist.plusOneTitle': '1話視聴した',
+    'mylist.progress': '{watched} / {total} 話',
+    'mylist.status': '視聴ステータス',
+    'mylist.score': 'あなたの評価',
+    'mylist.startDate': '視聴開始日',
+    'mylist.finishDate': '視聴終了日',
+    'mylist.noScore': '未評価',
+    'mylist.saveFailed': 'マイリストを保存できませんでした(容量不足の可能性があります)',
+    'mylist.exportAs': '形式',
+    'mylist.export': 'エクスポート',
+    'mylist.import': 'インポート…',
+    'mylist.exported': { other: '{count}件をエクスポートしました' },
+    'mylist.imported': { other: '{count}件をインポートしました' },
+    'mylist.filterLabel': '視聴状況で絞り込み',
+    'anime.notLoaded': 'まだ作品を読み込んでいます',
+
+    'source.changed': 'データソース: {label}',
+    'source.proxyInvalid': 'プロキシは http(s) の URL にしてください',
+    'source.proxySaved': 'CORS プロキシを保存しました',
+    'source.proxyCleared': 'CORS プロキシを解除しました',
+
+    'stats.empty': 'マイリストに作品を追加すると統計が表示されます。',
+    'stats.pngFailed': 'PNG の書き出しに失敗しました',
+    'stats.noData': 'まだデータが足りません',
+    'stats.exportPng': '{chart}をPNGで書き出す',
+    'stats.fetching': '詳細を取得中… {done}/{total}',
+    'stats.exportJson': 'JSONを書き出す',
+    'stats.partial': '{have}/{total} 作品の詳細をキャッシュ済み。ジャンル・スタジオ・視聴時間はキャッシュ分で集計しています。',
+    'stats.fetchMissing': '不足している詳細を取得',
+    'stats.days': '視聴日数',
+    'stats.episodes': { other: '{count} 話' },
+    'stats.mean': '平均スコア',
+    'stats.malMean': '同じ作品のMAL平均: {score}',
+    'stats.completion': '完走率',
+    'stats.started': '開始した {total} 作品中 {done} 作品',
+    'stats.titles': '作品数',
+    'stats.scoreChart': 'スコア分布',
+    'stats.timelineChart': '開始と完了(12か月)',
+    'stats.startedSeries': '開始',
+    'stats.finishedSeries': '完了',
+    'stats.topGenres': 'よく見るジャンル',
+    'stats.topStudios': 'よく見るスタジオ',
+
+    'menu.removeFromList': 'マイリストから削除({status})',
+    'menu.stopReminders': 'エピソード通知を停止',
+    'menu.options': '{title} の操作',
+    'menu.notify': '新しいエピソードを通知する',
+    'menu.copyLink': '共有リンクをコピー',
+    'menu.report': '報告…',
+    'share.copied': 'URL をコピーしました',
+    'share.copyPrompt': 'この URL をコピーしてください',
+    'report.title': '「{title}」を報告',
+    'report.pickReason': '理由を選んでください',
+    'report.sent': '報告を送信しました。ありがとうございます!',
+    'report.queued': '報告を保存しました。送信できるようになったら送ります',
+    'report.question': 'どのような問題ですか?',
+    'report.details': '詳細(任意)',
+    'report.send': '報告を送信',
+    'report.reason.wrong-info': '情報が間違っている',
+    'report.reason.inappropriate': '不適切な内容',
+    'report.reason.broken-media': '画像やPVが表示されない',
+    'report.reason.duplicate': '重複したエントリー',
+    'report.reason.other': 'その他',
+    'picker.picked': '選ばれた作品: {title}',
+    'picker.watching': '「{title}」の視聴を始めました。楽しんで!',
+    'picker.title': '次は何を見る?',
+    'picker.source': '選ぶ対象',
+    'picker.sourceRandom': 'すべてのアニメ(ランダム)',
+    'picker.sourceBacklog': '自分の視聴予定',
+    'picker.odds': '確率',
+    'picker.even': '均等',
+    'picker.favorScore': '高スコアを優先',
+    'picker.favorOldest': '古い視聴予定を優先',
+    'picker.maxEpisodes': '最大話数',
+    'picker.genres': 'ジャンル(いずれか)',
+    'picker.excludeAdult': '成人向けを除外',
+    'picker.roll': '🎲 選ぶ',
+    'picker.backlogEmpty': '視聴予定リストが空です。',
+    'picker.rolling': '選んでいます…',
+    'picker.rerolling': '選び直しています… ({count})',
+    'picker.noMatch': '何度か試しましたが見つかりませんでした — 条件をゆるめてもう一度どうぞ。',
+    'picker.failed': 'アニメデータベースに接続できませんでした。もう一度お試しください。',
+
+    'reminders.label': 'エピソード通知',
+    'reminders.set': '通知を設定しました — 次回 {when}',
+    'reminders.setUnknown': '通知を設定しました(次回の放送日時は未定です)',
+    'reminders.removed': '通知を解除しました',
+    'reminders.empty': '作品の「通知する」からエピソード通知を受け取れます。',
+    'reminders.heading': '通知({count})',
+    'reminders.labelNew': 'エピソード通知、新着{count}件',
+    'reminders.muted': 'ミュート中',
+    'reminders.snoozedUntil': '{when} までスヌーズ',
+    'reminders.next': '次回: {when}',
+    'reminders.noBroadcast': '放送予定なし',
+    'reminders.snooze': '1日スヌーズ',
+    'reminders.unsnooze': 'スヌーズ解除',
+    'reminders.mute': 'ミュート',
+    'reminders.unmute': 'ミュート解除',
+    'inbox.title': '前回の訪問以降の新着エピソード',
+    'inbox.markSeen': 'すべて既読にする',
+    'inbox.empty': '新着はありません。',
+    'inbox.episodes': { other: '{count}話' },
+    'inbox.episode': '第{ep}話',
+    'inbox.newEpisode': '新しいエピソード',
+
+    'snapshot.none': 'スナップショットのリンクを開くか、マイリストの「スナップショットを開く…」を使ってください。',
+    'snapshot.opening': 'スナップショットを開いています…',
+    'snapshot.failed': 'このスナップショットを開けませんでした: {error}。',
+    'snapshot.namePrompt': 'スナップショットに表示する名前(任意)',
+    'snapshot.copyPrompt': 'このリンクをコピーしてください',
+    'snapshot.copied': 'スナップショットのリンクをコピーしました',
+    'snapshot.copiedLong': 'スナップショットのリンクをコピーしました(リストが長いため、途切れる場合はファイルを送ってください)',
+    'snapshot.share': 'スナップショットのリンクを共有',
+    'snapshot.shareTitle': 'リスト全体を含むリンクをコピーします',
+    'snapshot.saveFile': 'スナップショットを保存',
+    'snapshot.open': 'スナップショットを開く…',
+    'snapshot.they': '相手',
+    'snapshot.saveShort': 'ファイルを保存',
+    'snapshot.namedList': '{name}さんのリスト',
+    'snapshot.sharedList': '共有されたリスト',
+    'snapshot.theirList': '相手のリスト',
+    'snapshot.titles': { other: '{count} 作品' },
+    'snapshot.from': '{date} のスナップショット',
+    'snapshot.readOnly': '閲覧のみ',
+    'snapshot.compatibility': '相性',
+    'snapshot.compatibilityFrom': { other: 'お互いに採点した {count} 作品から算出' },
+    'snapshot.compatibilityNone': '共通の作品を採点すると比較できます',
+    'snapshot.shared': '共通の作品',
+    'snapshot.sharedSub': '相手 {theirs} · あなた {mine}',
+    'snapshot.loved': '相手のお気に入り(未視聴)',
+    'snapshot.lovedSub': '相手のスコア {score} 以上',
+    'snapshot.lovedHeading': '相手は高評価、あなたは未視聴',
+    'snapshot.lovedEmpty': '相手が高評価した作品はすべてあなたのリストにあります。',
+    'snapshot.sharedHeading': '共通の作品(スコア差の大きい順)',
+    'snapshot.scoreGap': 'あなた {mine} · {who} {theirs}',
+    'snapshot.sharedEmpty': '共通の作品はまだありません。',
+    'snapshot.filterLabel': '相手のリストを視聴状況で絞り込み',
+    'snapshot.statusEmpty': 'この状況の作品はありません。',
+
+    'settings.appearance': '外観',
+    'settings.theme': 'テーマ',
+    'settings.accent': 'アクセント',
+    'settings.customAccent': 'カスタム',
+    'settings.resetAccent': 'テーマの既定',
+    'settings.motion': 'アニメーション',
+    'settings.language': '言語',
+    'settings.titleLanguage': '作品タイトル',
+    'theme.system': 'システム',
+    'theme.dark': 'ダーク',
+    'theme.light': 'ライト',
+    'theme.contrast': 'ハイコントラスト',
+    'motion.system': 'システムに従う',
+    'motion.reduce': '減らす',
+    'motion.full': 'すべて表示',
+    'titleLang.romaji': 'ローマ字(既定)',
+    'titleLang.english': '英語',
+    'titleLang.native': '原語(日本語)',
+
+    'common.any': '指定なし',
+
+    'adv.type': '種類',
+    'adv.status': '放送状況',
+    'adv.airing': '放送中',
+    'adv.finished': '放送終了',
+    'adv.rating': 'レーティング',
+    'adv.year': '年',
+    'adv.yearHint': '例: 2023',
+    'adv.season': 'シーズン',
+    'adv.wholeYear': '通年',
+    'adv.minScore': '最低スコア',
+    'adv.maxScore': '最高スコア',
+    'adv.airedFrom': '放送開始(以降)',
+    'adv.airedUntil': '放送開始(以前)',
+    'adv.orderBy': '並び替え',
+    'adv.direction': '順序',
+    'adv.dirDefault': 'デフォルト',
+    'adv.desc': '降順',
+    'adv.asc': '昇順',
+    'adv.genresHint': 'ジャンル — クリックで含める、もう一度で除外',
+    'adv.clear': 'クリア',
+
+    'type.movie': '劇場版',
+    'type.special': '特別編',
+    'type.music': '音楽',
+
+    'rating.g': 'G – 全年齢',
+    'rating.pg': 'PG – 子ども向け',
+    'rating.r17': 'R – 17歳以上',
+    'rating.r': 'R+ – 軽度の性的描写',
+    'rating.rx': 'Rx – 成人向け',
+
+    'season.winter': '冬',
+    'season.spring': '春',
+    'season.summer': '夏',
+    'season.fall': '秋',
+
+    'order.relevance': '関連度',
+    'order.score': 'スコア',
+    'order.popularity': '人気',
+    'order.members': 'メンバー数',
+    'order.favorites': 'お気に入り数',
+    'order.startDate': '放送開始日',
+    'order.episodes': '話数',
+    'order.title': 'タイトル',
+
+    'sort.default': 'デフォルト順',
+    'sort.airing': '放送日',
+
+    'forYou.label': 'あなたへのおすすめ',
+
+    'airing.today': '今日の放送',
+    'airing.aired': '放送済み',
+    'airing.otherTypes': 'その他',
+    'airing.prevSeason': '前のシーズン',
+    'airing.nextSeason': '次のシーズン',
+    'airing.view': '放送中の表示',
+    'airing.chart': 'シーズン一覧',
+    'airing.schedule': '週間スケジュール',
+
+    'episodes.filler': 'オリジナル回',
+    'episodes.recap': '総集編',
+    'episodes.untitled': '第{ep}話',
+    'episodes.more': 'エピソードをさらに読み込む',
+
+    'relations.prequel': '前作',
+    'relations.current': 'この作品',
+    'relations.sequel': '続編',
+    'relations.showOrder': 'シリーズの視聴順を表示',
+    'relations.side': '外伝',
+    'relations.truncated': { other: 'このシリーズの最初の{count}作品を表示しています。' },
+
+    'import.title': 'インポートのプレビュー — {file}',
+    'import.summary': '新規 {add} · 更新 {update} · 競合 {conflict} · 変更なし {unchanged} · 未解決 {unresolved}。適用するまで何も保存されません。',
+    'import.new': '新規',
+    'import.updated': '更新',
+    'import.conflicts': '競合',
+    'import.unresolved': '未解決(MAL IDが見つからないためスキップ)',
+    'import.useImported': '{title}にインポートした値を使う',
+    'import.keepOrUse': '{title}: {local} のままにするか {incoming} を使う',
+    'import.untitledRow': '(タイトルなしの行)',
+    'import.apply': 'インポートを適用',
+    'import.reading': '{file} を読み込み中…',
+    'import.noEntries': 'エントリーが見つかりません',
+    'import.lookingUp': 'MAL IDのないタイトルを検索中: {n}/{total}…',
+    'import.failed': 'インポートに失敗しました: {error}',
+
+    'notify.title': '新しいエピソード',
+    'notify.one': '第{ep}話が公開されました',
+    'notify.many': '新しいエピソードが{count}話公開されました',
+    'notify.some': '新しいエピソードが公開されました',
+    'footer.data': 'データ提供:',
+  },
+};
+
+/* Best bundled match for navigator.languages, e.g. ['ja-JP', 'en'] -> 'ja' */
+function matchLocale(wanted) {
+  for (const tag of [].concat(wanted || [])) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (MESSAGES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// largest unit first; Intl.RelativeTimeFormat does the wording
+const RELATIVE_UNITS = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+function createI18n(initial = DEFAULT_LOCALE) {
+  let locale, plurals, numbers, relative;
+
+  function setLocale(next) {
+    locale = MESSAGES[next] ? next : DEFAULT_LOCALE;
+    plurals = new Intl.PluralRules(locale);
+    numbers = new Intl.NumberFormat(locale);
+    relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+    return locale;
+  }
+
+  /* t('card.episodes', { count: 12 }) -> "12 eps"; unknown {names} are left as-is */
+  function t(key, vars = {}) {
+    let msg = MESSAGES[locale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof msg === 'object') msg = msg[plurals.select(Number(vars.count) || 0)] || msg.other;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => {
+      if (!(name in vars)) return m;
+      return name === 'count' ? numbers.format(vars.count) : String(vars[name]);
+    });
+  }
+
+  /* "3 hours ago", "yesterday", "in 2 days" */
+  function relativeTime(ts, now = Date.now()) {
+    const time = new Date(ts).getTime();
+    if (!ts || isNaN(time)) return '';
+    const secs = (time - now) / 1000;
+    const [unit, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(secs) >= s) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return relative.format(Math.round(secs / size), unit);
+  }
+
+  const formatNumber = (n, opts) => (opts ? new Intl.NumberFormat(locale, opts) : numbers).format(n);
+  const formatDate = (ts, opts = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(locale, opts).format(new Date(ts));
+
+  setLocale(initial);
+  return { t, setLocale, relativeTime, formatNumber, formatDate, get locale() { return locale; } };
+}
+
+return { createI18n, matchLocale, MESSAGES, LOCALES, DEFAULT_LOCALE };
+});
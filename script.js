@@ -1,12 +1,36 @@
 /* script.js — AnimeRat frontend
    Features:
    - Jikan API usage (v4): search, top, seasons, anime details
-   - Search suggestions (debounced)
-   - Caching via localStorage (TTL)
-   - Feed rendering (grid/list view toggle)
-   - Modal details with trailer, genres, synopsis
-   - Rating stars UI (client-side until Firebase wired)
-   - 3-dot menu placeholders for MyList / Notify / Share / Report
+   - Headless core (core.js -> window.AnimeRat, core.mjs for ES modules): cache, request queue, providers,
+     MyList store + events (feed:loaded, list:changed, modal:open); renderers subscribe to it
+   - Pluggable data providers (Jikan, AniList GraphQL, local fixtures) with failover + optional CORS proxy
+   - Rate-limited request queue (token bucket, 429/503 backoff, dedupe, priorities, abort)
+   - Search suggestions: instant fuzzy matches over every cached title (incl. English/Japanese/synonyms),
+     network results after a debounce, combobox keyboard support, recent searches
+   - Advanced search: type/status/rating/score/date/genre filters, URL-synced, saved presets
+   - Caching via localStorage (TTL, stale fallback, quota-aware eviction)
+   - Offline support: service worker (sw.js) + offline indicator
+   - Feed rendering (grid/list view toggle, per-section sort + view prefs, infinite scroll)
+   - Season charts (any year/season, grouped by type) + weekly schedule in local time
+   - Modal details with trailer, genres, synopsis + lazy tabs (characters, staff, episodes,
+     recommendations, stats, relation graph / watch order)
+   - Reviews: local store by default, Firebase when wired; edit/delete, sorting, spoiler tags,
+     community average, MAL reviews tab
+   - Random picker: /random/anime re-rolls against constraints or a weighted Plan to Watch draw, no repeats
+   - Options popover (cards + modal) for MyList / Notify / Share / Report, report dialog with local queue
+   - "For You" recommendations from MyList + review ratings (taste profile + Jikan recs), personal hero
+   - Airing reminders: local subscriptions, broadcast-driven notifications, missed-episode inbox, snooze/mute
+   - Browse: genres / themes / demographics / explicit (counts, multi-select) and studios & producers,
+     linked from card chips and modal badges
+   - Hash router: #/top?page=2, #/anime/ID (deep-linkable details), #/search?q=...
+   - Local-first MyList (status, episode progress, scores, dates) with optional Firebase sync
+   - Theme engine: system/dark/light/high-contrast, custom accent, reduced-motion override (CSS custom properties)
+   - Stats dashboard (#/stats): watch time, scores vs MAL, genres/studios, timeline; SVG charts, PNG/JSON export
+   - MyList import/export: MAL XML, AniList JSON, CSV (dry-run preview before applying)
+   - Localization: UI language (message catalogs in i18n.js, Intl dates/numbers/relative time) and
+     display-title language (romaji / English / native, with fallback) for rendering + suggestions
+   - List snapshots (#/snapshot?d=...): compressed MyList in a link or file, opened read-only with a
+     compatibility score, shared titles and "they loved it" picks; no backend involved
    - Load more / pagination
    - Accessible keyboard support for modal
    - Graceful fallback and detailed logging
@@ -15,31 +39,106 @@
 /* ==========================
    CONFIG
    ========================== */
-const res = await fetch("https://api.allorigins.win/raw?url=https://api.jikan.moe/v4/top/anime?limit=12");
-const API_BASE = 'https://api.jikan.moe/v4';
-const CACHE_TTL_MS = 1000 * 60 * 30; // 30 minutes
-const PAGE_SIZE = 18; // items per fetch for feed
+const FIXTURE_BASE = 'fixtures/'; // JSON files served next to index.html (offline development)
 
 /* ==========================
-   HELPERS: caching, DOM, utils
+   CORE (core.js): storage, request queue, providers, loaders, MyList store.
+   No DOM in there; this file renders by subscribing to its events (see bindCore).
+   window.AnimeRat is the same instance, for userscripts and extensions.
    ========================== */
-function nowMs(){ return Date.now(); }
+const core = AnimeRatCore.createCore({
+  storage: window.localStorage,
+  fetch: window.fetch.bind(window),
+  isOnline: () => navigator.onLine !== false,
+  // ?provider=fixtures (etc.) overrides the saved choice for this page load
+  provider: new URLSearchParams(location.search).get('provider'),
+  fixtureBase: FIXTURE_BASE,
+});
+window.AnimeRat = core;
+const {
+  PRIORITY, MYLIST_KEY, LIST_STATUSES, LIST_STATUS_LABELS, SEARCH_FILTER_KEYS, SEASON_NAMES, WEEKDAYS,
+  isAbortError, todayISO, dedupeById, pickSearchFilters, currentSeason, shiftSeason, nextBroadcast, normalizeListEntry,
+  matchTitle, makeSnapshot, readSnapshot, encodeSnapshot, decodeSnapshot, compareLists, LOVED_SCORE,
+  TITLE_LANGUAGES, displayTitle,
+} = AnimeRatCore;
+
+/* ==========================
+   I18N: UI language (catalogs live in i18n.js) + display-title language
+   Static markup carries data-i18n="key" (text) or data-i18n-attr="attr:key;attr:key";
+   everything rendered from here goes through t(). Switching re-renders the current view.
+   ========================== */
+const LOCALE_KEY = 'locale';
+const TITLE_LANG_KEY = 'titleLanguage';
+const i18n = AnimeRatI18n.createI18n(core.storeGet(LOCALE_KEY) || AnimeRatI18n.matchLocale(navigator.languages || [navigator.language]));
+const t = i18n.t;
+let titleLang = TITLE_LANGUAGES[core.storeGet(TITLE_LANG_KEY)] ? core.storeGet(TITLE_LANG_KEY) : 'romaji';
 
-function cacheSet(key, value) {
-  const payload = { t: nowMs(), v: value };
-  try { localStorage.setItem('animerat:' + key, JSON.stringify(payload)); } catch (e) { /* ignore storage errors */ }
+function titleOf(anime) { return (anime && displayTitle(anime, titleLang)) || t('app.untitled'); }
+/* List entries, snapshots and reminders only keep the main title; the other names come
+   from the details cache or the local title index when the anime has been seen before */
+function withKnownTitles(id, title) {
+  const full = core.detailsCache[id] && core.detailsCache[id].data;
+  const known = full || core.indexedAnime(id);
+  if (!known) return { title };
+  return { title: title || known.title, titles: known.titles, title_english: known.title_english, title_japanese: known.title_japanese };
 }
-function cacheGet(key, maxAge = CACHE_TTL_MS) {
-  try {
-    const raw = localStorage.getItem('animerat:' + key);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!parsed.t || !parsed.v) return null;
-    if ((nowMs() - parsed.t) > maxAge) { localStorage.removeItem('animerat:' + key); return null; }
-    return parsed.v;
-  } catch (e) { return null; }
+function entryTitle(id, title) { return displayTitle(withKnownTitles(id, title), titleLang) || title || ''; }
+function statusLabel(status) { return t('status.' + status); }
+const SHORT_DATETIME = { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+
+function applyStaticText(root = document) {
+  document.documentElement.lang = i18n.locale;
+  root.querySelectorAll('[data-i18n]').forEach(n => { n.textContent = t(n.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-attr]').forEach(n => n.dataset.i18nAttr.split(';').forEach(pair => {
+    const [attr, key] = pair.split(':').map(x => x.trim());
+    if (attr && key) n.setAttribute(attr, t(key));
+  }));
+}
+
+/* Everything on screen was rendered in the old language; the core's response cache makes this cheap */
+function rerenderLanguage() {
+  applyStaticText();
+  applyTheme();
+  closeSuggestions();
+  Object.keys(state.feeds).forEach(k => { state.feeds[k] = []; });
+  renderMyList();
+  renderInbox();
+  const base = router.base;
+  router.base = null;
+  // an open detail modal keeps the section it was opened over
+  if (base && parseRoute().name === 'anime') applyBaseRoute(parseRoute('#' + base), base);
+  handleRoute();
+}
+
+function setLocale(locale) {
+  core.storeSet(LOCALE_KEY, i18n.setLocale(locale));
+  rerenderLanguage();
+}
+
+function setTitleLanguage(lang) {
+  titleLang = TITLE_LANGUAGES[lang] ? lang : 'romaji';
+  core.storeSet(TITLE_LANG_KEY, titleLang);
+  rerenderLanguage();
+}
+
+function initLanguageControls() {
+  applyStaticText();
+  if (refs.uiLanguage) {
+    Object.keys(AnimeRatI18n.LOCALES).forEach(code => refs.uiLanguage.appendChild(create('option', { value: code }, AnimeRatI18n.LOCALES[code])));
+    refs.uiLanguage.value = i18n.locale;
+    refs.uiLanguage.addEventListener('change', () => setLocale(refs.uiLanguage.value));
+  }
+  if (refs.titleLanguage) {
+    Object.keys(TITLE_LANGUAGES).forEach(lang => refs.titleLanguage.appendChild(create('option', { value: lang, 'data-i18n': 'titleLang.' + lang }, t('titleLang.' + lang))));
+    refs.titleLanguage.value = titleLang;
+    refs.titleLanguage.addEventListener('change', () => setTitleLanguage(refs.titleLanguage.value));
+  }
 }
-function cacheRemove(key){ try{ localStorage.removeItem('animerat:' + key); }catch(e){} }
+
+/* ==========================
+   HELPERS: caching, DOM, utils
+   ========================== */
+function nowMs(){ return Date.now(); }
 
 function el(sel){ return document.querySelector(sel); }
 function elAll(sel){ return Array.from(document.querySelectorAll(sel)); }
@@ -71,36 +170,17 @@ function debounce(fn, wait=220){
   return function(...a){ clearTimeout(t); t = setTimeout(()=>fn.apply(this,a), wait); };
 }
 
-/* Pretty date */
-function timeAgo(ts){
-  if (!ts) return '';
-  const diff = Date.now() - new Date(ts).getTime();
-  const s = Math.floor(diff/1000);
-  if (s < 60) return s + 's ago';
-  const m = Math.floor(s/60);
-  if (m < 60) return m + 'm ago';
-  const h = Math.floor(m/60);
-  if (h < 24) return h + 'h ago';
-  const d = Math.floor(h/24);
-  return d + 'd ago';
-}
-
 /* Small toast */
 function toast(msg, time=2200){
   let t = el('#__animerat_toast');
   if (!t) {
-    t = create('div', { id: '__animerat_toast', class: 'animerat-toast' });
-    Object.assign(t.style, {
-      position: 'fixed', right: '18px', bottom: '18px',
-      background: 'linear-gradient(90deg,#ff63b8,#ff2b9e)',
-      color: '#fff', padding: '10px 14px', borderRadius: '12px', zIndex: 9999, boxShadow: '0 10px 30px rgba(0,0,0,0.5)'
-    });
+    t = create('div', { id: '__animerat_toast', class: 'animerat-toast', role: 'status', 'aria-live': 'polite' });
     document.body.appendChild(t);
   }
   t.textContent = msg;
-  t.style.opacity = '1';
+  t.classList.add('visible');
   clearTimeout(t._h);
-  t._h = setTimeout(()=>{ t.style.opacity = '0'; }, time);
+  t._h = setTimeout(()=>{ t.classList.remove('visible'); }, time);
 }
 
 /* ==========================
@@ -145,9 +225,69 @@ const refs = {
   upcomingFeed: el('#upcomingFeed'),
   moviesFeed: el('#moviesFeed'),
   genresFeed: el('#genresFeed'),
+  genreBrowser: el('#genreBrowser'),
+  producersFeed: el('#producersFeed'),
+  producerBrowser: el('#producerBrowser'),
   myListFeed: el('#myListFeed'),
+  myListTabs: el('#myListTabs'),
+  exportFormat: el('#exportFormat'),
+  exportBtn: el('#exportBtn'),
+  importFile: el('#importFile'),
+  importPreview: el('#importPreview'),
+  shareSnapshotBtn: el('#shareSnapshotBtn'),
+  saveSnapshotBtn: el('#saveSnapshotBtn'),
+  snapshotFile: el('#snapshotFile'),
+  snapshotView: el('#snapshotView'),
+  modalAddList: el('#modalAddList'),
+  modalStartWatching: el('#modalStartWatching'),
+  modalMore: el('#modalMore'),
+  cardMenu: el('#cardMenu'),
+  reportModal: el('#reportModal'),
+  reportForm: el('#reportForm'),
+  reportTitle: el('#reportTitle'),
+  pickerModal: el('#pickerModal'),
+  pickerForm: el('#pickerForm'),
+  pickerGenres: el('#pickerGenres'),
+  pickerStatus: el('#pickerStatus'),
+  inboxBtn: el('#inboxBtn'),
+  providerSelect: el('#providerSelect'),
+  providerFallback: el('#providerFallback'),
+  corsProxy: el('#corsProxy'),
+  inboxCount: el('#inboxCount'),
+  inboxPanel: el('#inboxPanel'),
   main: el('#main'),
   sidebar: el('#sidebar'),
+  offlineBadge: el('#offlineBadge'),
+  sectionControls: el('.section-controls'),
+  airingToday: el('#airingToday'),
+  forYouWrap: el('#forYouWrap'),
+  forYouRow: el('#forYouRow'),
+  statsDashboard: el('#statsDashboard'),
+  themeToggle: el('#themeToggle'),
+  themePanel: el('#themePanel'),
+  themeAccents: el('#themeAccents'),
+  themeAccentCustom: el('#themeAccentCustom'),
+  themeMotion: el('#themeMotion'),
+  uiLanguage: el('#uiLanguage'),
+  titleLanguage: el('#titleLanguage'),
+  seasonPicker: el('#seasonPicker'),
+  modalTabs: el('#modalTabs'),
+  modalInfo: el('#modalInfo'),
+  modalCommunityScore: el('#modalCommunityScore'),
+  reviewSort: el('#reviewSort'),
+  reviewSpoiler: el('#reviewSpoiler'),
+  cancelEditReview: el('#cancelEditReview'),
+  seasonYear: el('#seasonYear'),
+  seasonSelect: el('#seasonSelect'),
+  seasonPrev: el('#seasonPrev'),
+  seasonNext: el('#seasonNext'),
+  advToggle: el('#advSearchToggle'),
+  advPanel: el('#advSearchPanel'),
+  advGenreChips: el('#advGenreChips'),
+  advPresetSelect: el('#advPresetSelect'),
+  advPresetName: el('#advPresetName'),
+  advPresetSave: el('#advPresetSave'),
+  advPresetDelete: el('#advPresetDelete'),
 };
 
 /* Template nodes */
@@ -162,81 +302,59 @@ const state = {
   feedType: 'home', // home/top/airing/upcoming/movies/genres/mylist
   query: '',
   view: 'grid', // or list
-  sort: 'popularity',
-  genreFilter: null,
-  runningFetch: false,
+  sort: '', // '' = the feed's natural order, else a key of SORTS
+  genreFilter: [], // selected genre ids on #/genres (also highlighted in the sidebar)
+  listStatus: 'all', // MyList tab: all or one of LIST_STATUSES
+  modalAnime: null, // anime currently shown in the details modal
+  modalSeq: 0, // bumps on every open/close so slow detail fetches can't clobber newer ones
+  modalAbort: null, // AbortController for the open modal's detail fetch
+  suggestAbort: null, // AbortController for the in-flight suggestion lookup
+  suggestSeq: 0, // bumped per lookup; a response whose seq is behind is stale
+  forYou: [], // last computed recommendations: [{ anime, because, becauseId, score }]
+  reviews: [], // reviews for the open modal, as last delivered by the backend
+  reviewRating: 0, // stars currently selected in the review form
+  editingReviewId: null, // set while the form edits an existing review
+  filters: null, // active search filters (null when Home shows the default feed)
+  searchSeq: 0,
+  searchGenres: {}, // advanced-search genre chips: { [mal_id]: 'include' | 'exclude' }
+  runningFetch: false, // home infinite scroll in progress
+  homePage: 1, // last /top/anime page appended to the home feed
+  homeDone: false, // no more pages for the home feed
   lastSearchResults: [],
-  detailsCache: {},
-  feeds: { home: [], top: [], airing: [], upcoming: [], movies: [], genres: [], mylist: [] },
+  schedule: null, // last full weekly schedule (airing view); the home strip reuses it
+  feeds: { home: [], top: [], airing: [], upcoming: [], movies: [], genres: [], producers: [], mylist: [] },
 };
 
 /* ==========================
-   API CALLS (with caching + backoff)
+   DATA SOURCE (sidebar block; providers themselves live in core.js)
    ========================== */
-
-async function apiFetch(path, params = {}, useCacheKey = null, ttl = CACHE_TTL_MS) {
-  // Build URL
-  const url = new URL(API_BASE + path);
-  Object.keys(params || {}).forEach(k => { if (params[k] !== undefined && params[k] !== null) url.searchParams.set(k, params[k]); });
-
-  const cacheKey = useCacheKey || ('url:' + url.toString());
-  const cached = cacheGet(cacheKey, ttl);
-  if (cached) return cached;
-
-  // basic fetch with retry once
-  try {
-    const res = await fetch(url.toString());
-    if (!res.ok) throw new Error('HTTP ' + res.status);
-    const data = await res.json();
-    cacheSet(cacheKey, data);
-    return data;
-  } catch (err) {
-    console.warn('Primary fetch failed for', url.toString(), err);
-    // try again after small delay
-    await new Promise(r => setTimeout(r, 450));
-    try {
-      const res2 = await fetch(url.toString());
-      if (!res2.ok) throw new Error('HTTP ' + res2.status);
-      const data2 = await res2.json();
-      cacheSet(cacheKey, data2);
-      return data2;
-    } catch (err2) {
-      console.error('Retry fetch failed for', url.toString(), err2);
-      throw err2;
-    }
-  }
-}
-
-async function searchAnime(q, limit = 12) {
-  if (!q) return null;
-  const path = '/anime';
-  const params = { q: q, limit, page: 1 };
-  return apiFetch(path, params, `search:${q}:${limit}`, 1000 * 60 * 5);
-}
-
-async function getTopAnime(page = 1, limit = PAGE_SIZE) {
-  return apiFetch('/top/anime', { page, limit }, `top:${page}:${limit}`);
-}
-
-async function getSeasonsNow() {
-  return apiFetch('/seasons/now', {}, 'seasons:now', CACHE_TTL_MS);
-}
-
-async function getSeasonsUpcoming() {
-  return apiFetch('/seasons/upcoming', {}, 'seasons:upcoming', CACHE_TTL_MS);
-}
-
-async function getAnimeDetails(id) {
-  if (!id) throw new Error('No id');
-  if (state.detailsCache[id]) return state.detailsCache[id];
-  const data = await apiFetch(`/anime/${id}/full`, {}, `anime:${id}`, CACHE_TTL_MS * 24);
-  state.detailsCache[id] = data;
-  return data;
+function setDataSource(patch) {
+  core.setDataSource(patch);
+  // everything on screen came from the previous source
+  Object.keys(state.feeds).forEach(k => { state.feeds[k] = []; });
+  router.base = null;
+  handleRoute();
 }
 
-async function getGenresList() {
-  // Jikan provides a genres endpoint
-  return apiFetch('/genres/anime', {}, 'genres:list', CACHE_TTL_MS * 24 * 3);
+function initDataSourceControls() {
+  if (!refs.providerSelect) return;
+  const source = core.getDataSource();
+  Object.values(core.providers).forEach(p => refs.providerSelect.appendChild(create('option', { value: p.name }, p.label)));
+  refs.providerSelect.value = core.activeProvider().name;
+  refs.providerSelect.disabled = core.isProviderPinned(); // pinned by ?provider=
+  refs.providerFallback.checked = !!source.fallback;
+  refs.corsProxy.value = source.corsProxy || '';
+  refs.providerSelect.addEventListener('change', () => {
+    setDataSource({ provider: refs.providerSelect.value });
+    toast(t('source.changed', { label: core.activeProvider().label }));
+  });
+  refs.providerFallback.addEventListener('change', () => setDataSource({ fallback: refs.providerFallback.checked }));
+  refs.corsProxy.addEventListener('change', () => {
+    const v = refs.corsProxy.value.trim();
+    if (v && !/^https?:\/\//i.test(v)) { toast(t('source.proxyInvalid')); return; }
+    setDataSource({ corsProxy: v });
+    toast(t(v ? 'source.proxySaved' : 'source.proxyCleared'));
+  });
 }
 
 /* ==========================
@@ -250,56 +368,78 @@ function renderCard(anime) {
   const title = node.querySelector('.card-title');
   const score = node.querySelector('.card-score');
   const eps = node.querySelector('.card-episodes');
+  const status = node.querySelector('.card-status');
   const synopsis = node.querySelector('.card-synopsis');
   const genresWrap = node.querySelector('.card-genres');
   const moreBtn = node.querySelector('.card-more');
 
   const id = anime.mal_id || anime.malId || (anime.id || anime.animeId);
   img.src = (anime.images && anime.images.jpg && anime.images.jpg.image_url) || (anime.image_url) || '';
-  img.alt = anime.title || 'Anime cover';
-  title.textContent = anime.title || 'Untitled';
+  img.alt = titleOf(anime);
+  title.textContent = titleOf(anime);
   score.textContent = anime.score ? `★ ${anime.score}` : '—';
-  eps.textContent = anime.episodes ? `${anime.episodes} eps` : '';
+  eps.textContent = anime.episodes ? t('card.episodes', { count: anime.episodes }) : '';
+  if (status) status.textContent = anime.status || '';
+  markCardListState(card, id);
   synopsis.textContent = toShort(anime.synopsis || (anime.background || ''), 160);
 
   // genres
   const gList = (anime.genres || anime.theme || anime.demographics || []);
   genresWrap.innerHTML = '';
   (gList.slice(0,4) || []).forEach(g => {
-    const s = create('span', { class: 'chip', html: safeText(g.name || g) });
-    s.className = 'chip';
-    s.style.cssText = 'padding:4px 8px;border-radius:999px;background:rgba(255,255,255,0.02);color:var(--muted);font-size:0.78rem;margin-right:6px';
-    genresWrap.appendChild(s);
+    genresWrap.appendChild(g.mal_id
+      ? create('a', { class: 'chip', href: routeHref('/genres', { genre: g.mal_id }) }, safeText(g.name))
+      : create('span', { class: 'chip' }, safeText(g.name || g)));
   });
 
   // interactions:
   card.dataset.id = id;
   // Open details modal
   card.addEventListener('click', (e) => {
-    // ignore click if target is more menu button
-    if (e.target.closest('.card-more')) return;
-    openDetailsModal(id);
+    // ignore click if target is more menu button or a genre link
+    if (e.target.closest('.card-more, a')) return;
+    navigate(`/anime/${id}`);
   });
-  card.addEventListener('keydown', (e) => { if (e.key === 'Enter') openDetailsModal(id); });
+  card.addEventListener('keydown', (e) => { if (e.key === 'Enter' && !e.target.closest('a')) navigate(`/anime/${id}`); });
+  // likely next click: warm the details cache at low priority
+  card.addEventListener('mouseenter', () => core.prefetchDetails(id), { once: true });
+  card.addEventListener('focus', () => core.prefetchDetails(id), { once: true });
 
-  // more menu placeholder
+  // options popover
+  moreBtn.setAttribute('aria-label', t('card.more', { title: titleOf(anime) }));
   moreBtn.addEventListener('click', (ev) => {
     ev.stopPropagation();
-    showCardMenu(id, moreBtn);
+    showCardMenu(anime, moreBtn);
+  });
+  moreBtn.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter') ev.stopPropagation(); // the card's own Enter opens details
+    if (ev.key === 'ArrowDown') { ev.preventDefault(); ev.stopPropagation(); showCardMenu(anime, moreBtn); }
   });
 
   return node;
 }
 
+/* "On your list" marker; also re-run on list:changed for cards already on screen */
+function markCardListState(card, id) {
+  const listEntry = core.listGet(id);
+  card.classList.toggle('in-list', !!listEntry);
+  if (listEntry) card.title = t('card.onList', { status: statusLabel(listEntry.status) });
+  else card.removeAttribute('title');
+}
+
 function renderFeedInto(containerEl, items = []) {
   // Clear
   containerEl.innerHTML = '';
   if (!items || items.length === 0) {
-    containerEl.innerHTML = `<div class="empty-note" style="padding:18px;color:var(--muted)">No items.</div>`;
+    containerEl.innerHTML = `<div class="empty-note">${t('feed.empty')}</div>`;
     return;
   }
 
   const frag = document.createDocumentFragment();
+  // column header for list view (hidden in grid view)
+  frag.appendChild(create('div', { class: 'feed-head', 'aria-hidden': 'true' }, [
+    create('span', {}, t('feed.colTitle')), create('span', {}, t('feed.colScore')), create('span', {}, t('feed.colEpisodes')), create('span', {}, t('feed.colStatus')),
+  ]));
   items.forEach(a => {
     frag.appendChild(renderCard(a));
   });
@@ -307,36 +447,25 @@ function renderFeedInto(containerEl, items = []) {
 }
 
 /* Hero card render (featured) */
-function renderHero(anime) {
+function renderHero(anime, reason = '') {
   refs.heroCard.innerHTML = '';
   if (!anime) {
-    refs.heroCard.innerHTML = `<div class="hero-placeholder">No featured anime</div>`;
+    refs.heroCard.innerHTML = `<div class="hero-placeholder">${t('hero.none')}</div>`;
     return;
   }
   const wrapper = create('div', { class: 'hero-feature fade-in' });
-  const cover = create('img', { class: 'cover-img', src: anime.images?.jpg?.image_url || '', alt: anime.title || 'cover' });
-  const title = create('h3', { html: safeText(anime.title) });
-  title.style.color = 'var(--text)';
+  const cover = create('img', { class: 'cover-img', src: anime.images?.jpg?.image_url || '', alt: titleOf(anime) });
+  const title = create('h3', {}, titleOf(anime));
   const desc = create('p', { html: toShort(anime.synopsis || '', 240) });
 
-  const btnA = create('button', { class: 'btn btn-primary', html: 'Details' });
-  btnA.addEventListener('click', () => openDetailsModal(anime.mal_id));
+  const btnA = create('button', { class: 'btn btn-primary' }, t('hero.details'));
+  btnA.addEventListener('click', () => navigate(`/anime/${anime.mal_id}`));
 
-  const btnB = create('button', { class: 'btn btn-ghost', html: 'Add to MyList' });
-  btnB.addEventListener('click', async () => {
-    try {
-      if (window.AnimeRatFirebase && window.AnimeRatFirebase.addToMyList) {
-        await window.AnimeRatFirebase.addToMyList(anime.mal_id, { title: anime.title });
-        toast('Added to MyList');
-      } else {
-        toast('Sign in to save to MyList');
-      }
-    } catch (err) {
-      toast('Failed: ' + (err.message || err));
-    }
-  });
+  const btnB = create('button', { class: 'btn btn-ghost' }, t('hero.addToList'));
+  btnB.addEventListener('click', () => handleAddToMyList(anime));
 
   const infoWrap = create('div', {}, [title, desc, create('div', { class: 'hero-ctas' }, [btnA, btnB])]);
+  if (reason) infoWrap.insertBefore(create('span', { class: 'hero-reason small-label' }, reason), title);
   wrapper.appendChild(cover);
   wrapper.appendChild(infoWrap);
   refs.heroCard.appendChild(wrapper);
@@ -348,35 +477,49 @@ function renderHero(anime) {
 
 async function openDetailsModal(id) {
   if (!id) return;
+  const seq = ++state.modalSeq;
   refs.modal.setAttribute('aria-hidden', 'false');
 
   // lock body scroll
   document.documentElement.style.overflow = 'hidden';
+  state.modalAnime = null; // tabs must not load for the previous entry while this one loads
+  delete refs.modal.dataset.animeId;
+  if (refs.modalCommunityScore) refs.modalCommunityScore.hidden = true;
+  resetModalTabs();
+  refs.modalTitle.textContent = t('modal.loading');
 
   try {
-    const resp = await getAnimeDetails(id);
+    if (state.modalAbort) state.modalAbort.abort();
+    state.modalAbort = new AbortController();
+    // user is waiting on this one: jump ahead of background prefetch
+    const resp = await core.getAnimeDetails(id, { priority: PRIORITY.high, signal: state.modalAbort.signal });
+    if (seq !== state.modalSeq) return; // another anime was opened (or modal closed) meanwhile
     const anime = resp && resp.data ? resp.data : null;
     if (!anime) {
-      refs.modalTitle.textContent = 'Not found';
+      refs.modalTitle.textContent = t('modal.notFound');
       refs.modalSynopsis.textContent = '';
       return;
     }
 
-    refs.modalTitle.textContent = anime.title || '';
+    state.modalAnime = anime;
+    refs.modal.dataset.animeId = String(anime.mal_id);
+    updateModalListButton();
+    refs.modalTitle.textContent = titleOf(anime);
     refs.modalCover.src = anime.images?.jpg?.image_url || '';
-    refs.modalCover.alt = anime.title || 'cover';
-    refs.modalScore.textContent = anime.score ? `Score: ${anime.score}` : 'Score: —';
-    refs.modalEpisodes.textContent = `Episodes: ${anime.episodes || '—'}`;
-    refs.modalStatus.textContent = `Status: ${anime.status || '—'}`;
+    refs.modalCover.alt = titleOf(anime);
+    refs.modalScore.textContent = t('modal.score', { score: anime.score ? i18n.formatNumber(anime.score) : '—' });
+    refs.modalEpisodes.textContent = t('modal.episodes', { episodes: anime.episodes || '—' });
+    refs.modalStatus.textContent = t('modal.status', { status: anime.status || '—' });
     // genres
     refs.modalGenres.innerHTML = '';
     (anime.genres || []).forEach(g => {
-      const b = create('span', { html: safeText(g.name) });
+      const b = g.mal_id ? create('a', { href: routeHref('/genres', { genre: g.mal_id }) }, safeText(g.name)) : create('span', { html: safeText(g.name) });
       b.className = 'badge';
       refs.modalGenres.appendChild(b);
     });
     // synopsis
-    refs.modalSynopsis.innerHTML = anime.synopsis ? `<p>${safeText(anime.synopsis)}</p>` : '<p>No synopsis available.</p>';
+    refs.modalSynopsis.innerHTML = anime.synopsis ? `<p>${safeText(anime.synopsis)}</p>` : `<p>${t('modal.noSynopsis')}</p>`;
+    renderModalInfo(anime);
 
     // trailer
     if (anime.trailer && anime.trailer.embed_url) {
@@ -387,26 +530,15 @@ async function openDetailsModal(id) {
       refs.modalTrailer.innerHTML = '';
     }
 
-    // reviews placeholder load (if Firebase available it should stream)
-    refs.reviewsList.innerHTML = '';
-    if (window.AnimeRatFirebase && window.AnimeRatFirebase.streamReviewsForAnime) {
-      // live stream reviews
-      if (refs._reviewsUnsub) refs._reviewsUnsub();
-      refs._reviewsUnsub = window.AnimeRatFirebase.streamReviewsForAnime(String(id), (reviews) => {
-        renderReviews(reviews || []);
-      });
-    } else {
-      // local placeholder review
-      renderReviews([]);
-    }
-
-    // rating stars setup
+    // rating stars setup, then reviews (local store or Firebase stream)
     setupRatingStars();
+    loadReviews(String(anime.mal_id));
 
   } catch (err) {
+    if (isAbortError(err) || seq !== state.modalSeq) return;
     console.error('Details load failed', err);
-    refs.modalTitle.textContent = 'Error loading details';
-    refs.modalSynopsis.textContent = 'Could not load details. Try again later.';
+    refs.modalTitle.textContent = t('modal.errorTitle');
+    refs.modalSynopsis.textContent = t('modal.error');
   }
 }
 
@@ -415,159 +547,3550 @@ function closeDetailsModal() {
   document.documentElement.style.overflow = '';
   // cleanup
   refs.modalTrailer.innerHTML = '';
+  state.modalAnime = null;
+  delete refs.modal.dataset.animeId;
+  state.modalSeq++;
+  if (state.modalAbort) { state.modalAbort.abort(); state.modalAbort = null; }
   if (refs._reviewsUnsub) { try{ refs._reviewsUnsub(); }catch(e){} refs._reviewsUnsub = null; }
 }
 
-/* Reviews rendering (client-only unless firebase hooked) */
+/* ==========================
+   DETAILS MODAL: tabs (lazy) + relations
+   Overview comes from /full; every other tab fetches its endpoint on first open.
+   ========================== */
+const MODAL_TABS = {
+  characters: (id, panel, o) => loadCharactersTab(id, panel, o),
+  staff: (id, panel, o) => loadStaffTab(id, panel, o),
+  episodes: (id, panel, o) => loadEpisodesTab(id, panel, o, 1),
+  recommendations: (id, panel, o) => loadRecommendationsTab(id, panel, o),
+  stats: (id, panel, o) => loadStatsTab(id, panel, o),
+  relations: (id, panel) => renderRelationsTab(state.modalAnime, panel),
+  malreviews: (id, panel, o) => loadMalReviewsTab(id, panel, o),
+};
+
+function modalTabOpts() {
+  return { priority: PRIORITY.high, signal: state.modalAbort ? state.modalAbort.signal : undefined };
+}
+
+function resetModalTabs() {
+  if (!refs.modalTabs) return;
+  elAll('#modalTabs [data-tab]').forEach(b => b.classList.remove('loaded'));
+  elAll('.modal-panel .tab-panel').forEach(p => { if (p.dataset.panel !== 'overview') p.innerHTML = ''; delete p.dataset.loadedFor; });
+  if (refs.modalInfo) refs.modalInfo.innerHTML = '';
+  activateModalTab('overview');
+}
+
+function activateModalTab(name) {
+  elAll('#modalTabs [data-tab]').forEach(b => {
+    const on = b.dataset.tab === name;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-selected', String(on));
+    b.tabIndex = on ? 0 : -1;
+  });
+  elAll('.modal-panel .tab-panel').forEach(p => { p.hidden = p.dataset.panel !== name; });
+  const anime = state.modalAnime;
+  const panel = el(`.modal-panel .tab-panel[data-panel="${name}"]`);
+  if (!anime || !panel || !MODAL_TABS[name] || panel.dataset.loadedFor === String(anime.mal_id)) return;
+  panel.dataset.loadedFor = String(anime.mal_id);
+  MODAL_TABS[name](anime.mal_id, panel, modalTabOpts());
+}
+
+/* Wrap a tab loader: loading note, abort-quiet errors, stale-guard on anime id */
+async function loadTabInto(panel, id, fn) {
+  panel.innerHTML = `<div class="empty-note">${t('app.loading')}</div>`;
+  try {
+    const content = await fn();
+    if (panel.dataset.loadedFor !== String(id)) return;
+    panel.innerHTML = '';
+    panel.appendChild(content);
+  } catch (err) {
+    if (isAbortError(err)) { delete panel.dataset.loadedFor; return; }
+    console.error('Tab load failed', err);
+    delete panel.dataset.loadedFor; // allow a retry on next click
+    panel.innerHTML = `<div class="empty-note">${t('tab.failed')}</div>`;
+  }
+}
+
+function emptyNote(text) { return create('div', { class: 'empty-note' }, text); }
+
+function animeLink(entry, extraClass = '') {
+  return create('a', { class: 'rel-node ' + extraClass, href: routeHref(`/anime/${entry.mal_id}`) }, entry.name || titleOf(entry));
+}
+
+/* Overview extras from the /full payload: studios, themes, songs, streaming */
+function renderModalInfo(anime) {
+  if (!refs.modalInfo) return;
+  refs.modalInfo.innerHTML = '';
+  const rows = [];
+  // studios/producers link to #/producers, themes/demographics to #/genres (AniList studios have no MAL id: plain text)
+  const links = (list, path, key) => {
+    const dd = create('dd');
+    (list || []).filter(x => x.name).forEach((x, i) => {
+      if (i) dd.appendChild(document.createTextNode(', '));
+      dd.appendChild(x.mal_id ? create('a', { href: routeHref(path, { [key]: x.mal_id }) }, x.name) : document.createTextNode(x.name));
+    });
+    return dd.childNodes.length ? dd : null;
+  };
+  const studios = links(anime.studios, '/producers', 'producer');
+  if (studios) rows.push([t('info.studios'), studios]);
+  const producers = links(anime.producers, '/producers', 'producer');
+  if (producers) rows.push([t('info.producers'), producers]);
+  if (anime.source) rows.push([t('info.source'), anime.source]);
+  if (anime.aired && anime.aired.string) rows.push([t('info.aired'), anime.aired.string]);
+  if (anime.broadcast && anime.broadcast.string) rows.push([t('info.broadcast'), anime.broadcast.string]);
+  const themes = links(anime.themes, '/genres', 'genre');
+  if (themes) rows.push([t('info.themes'), themes]);
+  const demographics = links(anime.demographics, '/genres', 'genre');
+  if (demographics) rows.push([t('info.demographic'), demographics]);
+  const dl = create('dl', { class: 'info-list' });
+  rows.forEach(([k, v]) => { dl.appendChild(create('dt', {}, k)); dl.appendChild(typeof v === 'string' ? create('dd', {}, v) : v); });
+  refs.modalInfo.appendChild(dl);
+
+  const songs = anime.theme || {};
+  if ((songs.openings || []).length || (songs.endings || []).length) {
+    const wrap = create('div', { class: 'info-songs' });
+    if ((songs.openings || []).length) wrap.appendChild(create('p', {}, t('info.openings', { songs: songs.openings.join(' · ') })));
+    if ((songs.endings || []).length) wrap.appendChild(create('p', {}, t('info.endings', { songs: songs.endings.join(' · ') })));
+    refs.modalInfo.appendChild(wrap);
+  }
+
+  if ((anime.streaming || []).length) {
+    const links = create('div', { class: 'info-streaming' }, [create('span', { class: 'small-label' }, t('info.watchOn'))]);
+    anime.streaming.forEach(s => links.appendChild(create('a', { class: 'btn btn-ghost btn-sm', href: s.url, target: '_blank', rel: 'noopener' }, s.name)));
+    refs.modalInfo.appendChild(links);
+  }
+}
+
+function loadCharactersTab(id, panel, opts) {
+  return loadTabInto(panel, id, async () => {
+    const res = await core.getAnimePart(id, 'characters', opts);
+    const items = res && res.data ? res.data : [];
+    if (!items.length) return emptyNote(t('tab.noCharacters'));
+    const grid = create('div', { class: 'people-grid' });
+    // main cast first, then by popularity on MAL
+    items.sort((a, b) => (a.role === 'Main' ? 0 : 1) - (b.role === 'Main' ? 0 : 1) || (b.favorites || 0) - (a.favorites || 0));
+    items.slice(0, 40).forEach(c => {
+      const va = (c.voice_actors || []).find(v => v.language === 'Japanese') || (c.voice_actors || [])[0];
+      grid.appendChild(create('div', { class: 'person' }, [
+        create('img', { src: c.character?.images?.jpg?.image_url || '', alt: '', loading: 'lazy' }),
+        create('div', {}, [
+          create('strong', {}, c.character?.name || ''),
+          create('span', { class: 'small-label' }, c.role || ''),
+          va ? create('span', { class: 'small-label' }, t('tab.voiceActor', { name: va.person?.name || '' })) : '',
+        ]),
+      ]));
+    });
+    return grid;
+  });
+}
+
+function loadStaffTab(id, panel, opts) {
+  return loadTabInto(panel, id, async () => {
+    const res = await core.getAnimePart(id, 'staff', opts);
+    const items = res && res.data ? res.data : [];
+    if (!items.length) return emptyNote(t('tab.noStaff'));
+    const grid = create('div', { class: 'people-grid' });
+    items.slice(0, 40).forEach(p => {
+      grid.appendChild(create('div', { class: 'person' }, [
+        create('img', { src: p.person?.images?.jpg?.image_url || '', alt: '', loading: 'lazy' }),
+        create('div', {}, [
+          create('strong', {}, p.person?.name || ''),
+          create('span', { class: 'small-label' }, (p.positions || []).join(', ')),
+        ]),
+      ]));
+    });
+    return grid;
+  });
+}
+
+/* Episodes come 100 per page; "Load more" appends into the same table */
+function loadEpisodesTab(id, panel, opts, page) {
+  const build = async () => {
+    const res = await core.getAnimeEpisodes(id, page, opts);
+    const items = res && res.data ? res.data : [];
+    if (!items.length && page === 1) return emptyNote(t('tab.noEpisodes'));
+    const frag = document.createDocumentFragment();
+    items.forEach(ep => {
+      const flags = [ep.filler ? t('episodes.filler') : '', ep.recap ? t('episodes.recap') : ''].filter(Boolean).join(', ');
+      frag.appendChild(create('li', { class: 'episode' }, [
+        create('span', { class: 'ep-num' }, String(ep.mal_id)),
+        create('span', { class: 'ep-title' }, ep.title || t('episodes.untitled', { ep: ep.mal_id })),
+        create('span', { class: 'small-label' }, flags),
+        create('span', { class: 'small-label' }, ep.aired ? i18n.formatDate(ep.aired) : ''),
+        create('span', { class: 'small-label' }, ep.score ? `★ ${i18n.formatNumber(ep.score)}` : ''),
+      ]));
+    });
+    return { frag, hasNext: !!(res && res.pagination && res.pagination.has_next_page) };
+  };
+
+  if (page === 1) {
+    return loadTabInto(panel, id, async () => {
+      const out = await build();
+      if (out instanceof Node) return out;
+      const wrap = create('div', {}, [create('ol', { class: 'episode-list' }, out.frag)]);
+      if (out.hasNext) wrap.appendChild(episodesMoreButton(id, panel, opts, page + 1));
+      return wrap;
+    });
+  }
+  return build().then(out => {
+    if (panel.dataset.loadedFor !== String(id)) return;
+    panel.querySelector('.episode-list').appendChild(out.frag);
+    if (out.hasNext) panel.firstChild.appendChild(episodesMoreButton(id, panel, opts, page + 1));
+  });
+}
+
+function episodesMoreButton(id, panel, opts, page) {
+  const btn = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('episodes.more'));
+  btn.addEventListener('click', () => {
+    btn.disabled = true;
+    btn.textContent = t('app.loading');
+    loadEpisodesTab(id, panel, modalTabOpts(), page)
+      .then(() => btn.remove())
+      .catch(err => { if (!isAbortError(err)) { btn.disabled = false; btn.textContent = t('app.retry'); } });
+  });
+  return btn;
+}
+
+function loadRecommendationsTab(id, panel, opts) {
+  return loadTabInto(panel, id, async () => {
+    const res = await core.getAnimePart(id, 'recommendations', opts);
+    const items = res && res.data ? res.data : [];
+    if (!items.length) return emptyNote(t('tab.noRecommendations'));
+    const grid = create('div', { class: 'rec-grid' });
+    items.slice(0, 24).forEach(r => {
+      const e = r.entry || {};
+      grid.appendChild(create('a', { class: 'rec' + (core.listGet(e.mal_id) ? ' in-list' : ''), href: routeHref(`/anime/${e.mal_id}`) }, [
+        create('img', { src: e.images?.jpg?.image_url || '', alt: '', loading: 'lazy' }),
+        create('span', {}, e.title || ''),
+        create('span', { class: 'small-label' }, t('tab.votes', { count: r.votes || 0 })),
+      ]));
+    });
+    return grid;
+  });
+}
+
+function loadStatsTab(id, panel, opts) {
+  return loadTabInto(panel, id, async () => {
+    const res = await core.getAnimePart(id, 'statistics', opts);
+    const st = res && res.data ? res.data : null;
+    if (!st) return emptyNote(t('tab.noStats'));
+    const wrap = create('div', { class: 'stats' });
+    const total = st.total || 1;
+    const statusRows = [['watching', st.watching], ['completed', st.completed], ['on-hold', st.on_hold], ['dropped', st.dropped], ['plan-to-watch', st.plan_to_watch]];
+    wrap.appendChild(create('h4', {}, t('tab.members', { count: st.total || 0 })));
+    statusRows.forEach(([status, n]) => wrap.appendChild(statBar(statusLabel(status), n || 0, ((n || 0) / total) * 100)));
+    if ((st.scores || []).length) {
+      wrap.appendChild(create('h4', {}, t('stats.scoreChart')));
+      st.scores.slice().sort((a, b) => b.score - a.score).forEach(sc => wrap.appendChild(statBar(`★ ${sc.score}`, sc.votes, sc.percentage)));
+    }
+    return wrap;
+  });
+}
+
+function statBar(label, count, pct) {
+  const bar = create('div', { class: 'stat-bar' });
+  bar.style.width = Math.max(0, Math.min(100, pct || 0)).toFixed(1) + '%';
+  return create('div', { class: 'stat-row' }, [
+    create('span', { class: 'stat-label' }, label),
+    create('div', { class: 'stat-track' }, bar),
+    create('span', { class: 'small-label' }, `${i18n.formatNumber(Number(count))} (${i18n.formatNumber((pct || 0) / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })})`),
+  ]);
+}
+
+/* Relation graph: prequels -> this -> sequels on the main line, everything else branches below */
+const MAIN_LINE = ['Prequel', 'Sequel'];
+const FRANCHISE_RELATIONS = ['Prequel', 'Sequel', 'Side Story', 'Side story', 'Parent Story', 'Parent story', 'Summary', 'Full Story', 'Full story'];
+
+function relationEntries(anime, relation) {
+  const r = (anime.relations || []).find(x => x.relation === relation);
+  return r ? (r.entry || []).filter(e => e.type === 'anime') : [];
+}
+
+function renderRelationsTab(anime, panel) {
+  panel.innerHTML = '';
+  if (!anime || !(anime.relations || []).length) { panel.appendChild(emptyNote(t('tab.noRelations'))); return; }
+  const graph = create('div', { class: 'rel-graph' });
+  const line = create('div', { class: 'rel-line' });
+  const col = (title, nodes) => create('div', { class: 'rel-col' }, [create('span', { class: 'small-label' }, title)].concat(nodes));
+  const pre = relationEntries(anime, 'Prequel').map(e => animeLink(e));
+  const seq = relationEntries(anime, 'Sequel').map(e => animeLink(e));
+  if (pre.length) line.appendChild(col(t('relations.prequel'), pre));
+  line.appendChild(col(t('relations.current'), [create('span', { class: 'rel-node current' }, titleOf(anime))]));
+  if (seq.length) line.appendChild(col(t('relations.sequel'), seq));
+  graph.appendChild(line);
+
+  const branches = create('div', { class: 'rel-branches' });
+  (anime.relations || []).filter(r => !MAIN_LINE.includes(r.relation)).forEach(r => {
+    const nodes = (r.entry || []).map(e => e.type === 'anime'
+      ? animeLink(e)
+      : create('a', { class: 'rel-node other', href: e.url, target: '_blank', rel: 'noopener', title: e.type }, `${e.name} (${e.type})`));
+    branches.appendChild(col(r.relation, nodes));
+  });
+  graph.appendChild(branches);
+  panel.appendChild(graph);
+
+  const orderBtn = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('relations.showOrder'));
+  const orderWrap = create('div', { class: 'watch-order' });
+  orderBtn.addEventListener('click', () => { orderBtn.remove(); renderWatchOrder(anime, orderWrap); });
+  panel.appendChild(orderBtn);
+  panel.appendChild(orderWrap);
+}
+
+/* Walk franchise relations (fetching details as needed), then list by air date.
+   Main line = reachable through prequel/sequel only; the rest are marked as side entries. */
+async function renderWatchOrder(anime, wrap, maxNodes = 25) {
+  const id = String(anime.mal_id);
+  wrap.appendChild(emptyNote(t('tab.buildingOrder')));
+  const nodes = new Map([[id, { anime, main: true }]]);
+  const queue = [anime];
+  try {
+    while (queue.length && nodes.size < maxNodes) {
+      const cur = queue.shift();
+      const curMain = nodes.get(String(cur.mal_id)).main;
+      for (const relation of FRANCHISE_RELATIONS) {
+        for (const e of relationEntries(cur, relation)) {
+          const key = String(e.mal_id);
+          const main = curMain && MAIN_LINE.includes(relation);
+          if (nodes.has(key)) { if (main) nodes.get(key).main = true; continue; }
+          if (nodes.size >= maxNodes) break;
+          const res = await core.getAnimeDetails(e.mal_id, { signal: state.modalAbort ? state.modalAbort.signal : undefined });
+          if (!res || !res.data) continue;
+          nodes.set(key, { anime: res.data, main });
+          queue.push(res.data);
+        }
+      }
+    }
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.warn('Watch order incomplete', err);
+  }
+  if (state.modalAnime && String(state.modalAnime.mal_id) !== id) return;
+
+  const ordered = Array.from(nodes.values()).sort((a, b) =>
+    (Date.parse(a.anime.aired?.from) || Infinity) - (Date.parse(b.anime.aired?.from) || Infinity));
+  wrap.innerHTML = '';
+  const ol = create('ol', { class: 'watch-order-list' });
+  ordered.forEach(({ anime: a, main }) => {
+    const year = a.aired?.from ? new Date(a.aired.from).getFullYear() : '?';
+    const li = create('li', { class: main ? 'main' : 'side' }, [
+      String(a.mal_id) === id ? create('strong', {}, titleOf(a)) : animeLink(a),
+      create('span', { class: 'small-label' }, ` ${a.type || ''} · ${year}${main ? '' : ' · ' + t('relations.side')}`),
+    ]);
+    ol.appendChild(li);
+  });
+  wrap.appendChild(ol);
+  if (nodes.size >= maxNodes) wrap.appendChild(create('p', { class: 'small-label' }, t('relations.truncated', { count: maxNodes })));
+}
+
+/* ==========================
+   REVIEWS: pluggable backend (local by default, Firebase when wired)
+   Backend shape: { name, canEdit, subscribe(animeId, cb) -> unsub, submit(animeId, review),
+                    update(animeId, reviewId, patch), remove(animeId, reviewId), markHelpful(animeId, reviewId) }
+   ========================== */
+const REVIEWS_KEY = 'reviews';
+
+/* Stable anonymous id so local reviews and helpful votes have an owner */
+function localUserId() {
+  let id = core.storeGet('localUserId');
+  if (!id) {
+    id = 'local-' + Math.random().toString(36).slice(2, 10) + nowMs().toString(36);
+    core.storeSet('localUserId', id);
+  }
+  return id;
+}
+
+function reviewTimeMs(t) {
+  if (!t) return 0;
+  if (t.seconds) return t.seconds * 1000; // Firestore Timestamp
+  return typeof t === 'number' ? t : Date.parse(t) || 0;
+}
+
+const localReviewBackend = {
+  name: 'local',
+  canEdit: true,
+  listeners: {},
+  all() { return core.storeGet(REVIEWS_KEY, {}) || {}; },
+  get(animeId) { return (this.all()[animeId] || []).slice(); },
+  save(animeId, reviews) {
+    const all = this.all();
+    all[animeId] = reviews;
+    if (!core.storeSet(REVIEWS_KEY, all)) throw new Error('Storage full');
+    (this.listeners[animeId] || []).forEach(cb => cb(reviews.slice()));
+  },
+  currentUserId() { return localUserId(); },
+  subscribe(animeId, cb) {
+    (this.listeners[animeId] = this.listeners[animeId] || []).push(cb);
+    cb(this.get(animeId));
+    return () => { this.listeners[animeId] = (this.listeners[animeId] || []).filter(f => f !== cb); };
+  },
+  async submit(animeId, review) {
+    const reviews = this.get(animeId);
+    reviews.push(Object.assign({
+      id: 'r' + nowMs().toString(36) + Math.random().toString(36).slice(2, 6),
+      animeId, userId: this.currentUserId(), username: 'You', createdAt: nowMs(), helpfulBy: [],
+    }, review));
+    this.save(animeId, reviews);
+  },
+  async update(animeId, reviewId, patch) {
+    const reviews = this.get(animeId).map(r => (r.id === reviewId && r.userId === this.currentUserId() ? Object.assign({}, r, patch, { updatedAt: nowMs() }) : r));
+    this.save(animeId, reviews);
+  },
+  async remove(animeId, reviewId) {
+    this.save(animeId, this.get(animeId).filter(r => !(r.id === reviewId && r.userId === this.currentUserId())));
+  },
+  async markHelpful(animeId, reviewId) {
+    const me = this.currentUserId();
+    const reviews = this.get(animeId).map(r => {
+      if (r.id !== reviewId || r.userId === me) return r;
+      const by = new Set(r.helpfulBy || []);
+      if (by.has(me)) by.delete(me); else by.add(me);
+      return Object.assign({}, r, { helpfulBy: Array.from(by) });
+    });
+    this.save(animeId, reviews);
+  },
+};
+
+/* Adapter over window.AnimeRatFirebase; optional methods degrade gracefully */
+function firebaseReviewBackend(fb) {
+  return {
+    name: 'firebase',
+    canEdit: !!(fb.updateReview && fb.deleteReview),
+    currentUserId() {
+      if (fb.currentUserId) return fb.currentUserId();
+      return (fb.auth && fb.auth.currentUser && fb.auth.currentUser.uid) || null;
+    },
+    subscribe(animeId, cb) {
+      if (fb.streamReviewsForAnime) return fb.streamReviewsForAnime(animeId, (reviews) => cb(reviews || []));
+      cb([]);
+      return () => {};
+    },
+    submit(animeId, review) { return fb.submitReview(animeId, review.rating, review.text, { spoiler: review.spoiler }); },
+    update(animeId, reviewId, patch) { return fb.updateReview(animeId, reviewId, patch); },
+    remove(animeId, reviewId) { return fb.deleteReview(animeId, reviewId); },
+    markHelpful(animeId, reviewId) {
+      if (!fb.markReviewHelpful) return Promise.reject(new Error('Not supported'));
+      return fb.markReviewHelpful(animeId, reviewId);
+    },
+  };
+}
+
+function getReviewBackend() {
+  const fb = window.AnimeRatFirebase;
+  return fb && fb.submitReview ? firebaseReviewBackend(fb) : localReviewBackend;
+}
+
+const REVIEW_SORTS = {
+  newest: (a, b) => reviewTimeMs(b.createdAt) - reviewTimeMs(a.createdAt),
+  highest: (a, b) => (b.rating || 0) - (a.rating || 0) || reviewTimeMs(b.createdAt) - reviewTimeMs(a.createdAt),
+  helpful: (a, b) => helpfulCount(b) - helpfulCount(a) || reviewTimeMs(b.createdAt) - reviewTimeMs(a.createdAt),
+};
+function helpfulCount(r) { return (r.helpfulBy || []).length || Number(r.helpful) || 0; }
+
+/* Subscribe the modal to reviews for one anime */
+function loadReviews(animeId) {
+  if (refs._reviewsUnsub) { try { refs._reviewsUnsub(); } catch (e) {} refs._reviewsUnsub = null; }
+  state.reviews = [];
+  cancelReviewEdit();
+  const backend = getReviewBackend();
+  refs._reviewsUnsub = backend.subscribe(animeId, (reviews) => {
+    if (refs.modal.dataset.animeId !== animeId) return;
+    state.reviews = reviews || [];
+    renderReviews(state.reviews);
+  });
+}
+
+/* Text with [spoiler]...[/spoiler] sections -> nodes; spoilers stay hidden until clicked */
+function renderReviewText(target, text, wholeSpoiler) {
+  target.innerHTML = '';
+  const appendSpoiler = (content) => {
+    const btn = create('button', { type: 'button', class: 'spoiler', 'aria-expanded': 'false' }, t('reviews.spoiler'));
+    btn.addEventListener('click', () => {
+      const span = create('span', { class: 'spoiler-text' }, content);
+      btn.replaceWith(span);
+    });
+    target.appendChild(btn);
+  };
+  if (wholeSpoiler) { appendSpoiler(text); return; }
+  const re = /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi;
+  let last = 0, m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) target.appendChild(document.createTextNode(text.slice(last, m.index)));
+    appendSpoiler(m[1]);
+    last = re.lastIndex;
+  }
+  if (last < text.length) target.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function renderCommunityScore(reviews) {
+  if (!refs.modalCommunityScore) return;
+  const rated = (reviews || []).filter(r => r.rating);
+  if (!rated.length) { refs.modalCommunityScore.hidden = true; return; }
+  const avg = rated.reduce((sum, r) => sum + Number(r.rating), 0) / rated.length;
+  refs.modalCommunityScore.hidden = false;
+  refs.modalCommunityScore.textContent = t('reviews.community', { avg: i18n.formatNumber(avg, { minimumFractionDigits: 1, maximumFractionDigits: 1 }), count: rated.length });
+}
+
 function renderReviews(reviews) {
   refs.reviewsList.innerHTML = '';
+  renderCommunityScore(reviews);
   if (!reviews || reviews.length === 0) {
-    refs.reviewsList.innerHTML = `<div class="empty-note" style="color:var(--muted)">No reviews yet. Be the first!</div>`;
+    refs.reviewsList.innerHTML = `<div class="empty-note">${t('reviews.empty')}</div>`;
     return;
   }
+  const backend = getReviewBackend();
+  const me = backend.currentUserId();
+  const sorter = REVIEW_SORTS[refs.reviewSort ? refs.reviewSort.value : 'newest'] || REVIEW_SORTS.newest;
   const frag = document.createDocumentFragment();
-  reviews.forEach(r => {
+  reviews.slice().sort(sorter).forEach(r => {
     const node = reviewTpl.content.cloneNode(true);
     const root = node.querySelector('.review');
-    root.querySelector('.review-user').textContent = r.username || r.userId || 'Guest';
+    const mine = !!me && r.userId === me;
+    root.querySelector('.review-user').textContent = mine ? t('reviews.you') : (r.username || r.userId || t('reviews.guest'));
     root.querySelector('.review-rating').textContent = r.rating ? `★ ${r.rating}` : '';
-    root.querySelector('.review-text').textContent = r.text || '';
-    const t = root.querySelector('.review-time');
-    t.textContent = r.createdAt ? timeAgo(r.createdAt.seconds ? r.createdAt.seconds * 1000 : r.createdAt) : '';
+    renderReviewText(root.querySelector('.review-text'), r.text || '', !!r.spoiler);
+    const time = root.querySelector('.review-time');
+    time.textContent = r.createdAt ? i18n.relativeTime(reviewTimeMs(r.createdAt)) + (r.updatedAt ? ' ' + t('reviews.edited') : '') : '';
+
+    const actions = root.querySelector('.review-actions');
+    if (actions) {
+      const helpful = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, `👍 ${t('reviews.helpful', { count: helpfulCount(r) })}`);
+      helpful.disabled = mine;
+      helpful.setAttribute('aria-pressed', String(!!me && (r.helpfulBy || []).includes(me)));
+      helpful.addEventListener('click', () => runReviewAction(() => backend.markHelpful(r.animeId || refs.modal.dataset.animeId, r.id)));
+      actions.appendChild(helpful);
+      if (mine && backend.canEdit && r.id) {
+        const edit = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('reviews.edit'));
+        edit.addEventListener('click', () => startReviewEdit(r));
+        const del = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('reviews.delete'));
+        del.addEventListener('click', () => {
+          if (!confirm(t('reviews.confirmDelete'))) return;
+          runReviewAction(() => backend.remove(refs.modal.dataset.animeId, r.id), t('reviews.deleted'));
+        });
+        actions.appendChild(edit);
+        actions.appendChild(del);
+      }
+    }
     frag.appendChild(node);
   });
   refs.reviewsList.appendChild(frag);
 }
 
+async function runReviewAction(fn, okMsg) {
+  try {
+    await fn();
+    if (okMsg) toast(okMsg);
+  } catch (err) {
+    console.error('Review action failed', err);
+    toast(t('reviews.actionFailed', { error: err.message || err }));
+  }
+}
+
+function startReviewEdit(review) {
+  state.editingReviewId = review.id;
+  refs.reviewText.value = review.text || '';
+  if (refs.reviewSpoiler) refs.reviewSpoiler.checked = !!review.spoiler;
+  setStarRating(review.rating || 0);
+  refs.submitReviewBtn.textContent = t('reviews.update');
+  if (refs.cancelEditReview) refs.cancelEditReview.hidden = false;
+  refs.reviewText.focus();
+}
+
+function cancelReviewEdit() {
+  state.editingReviewId = null;
+  refs.reviewText.value = '';
+  if (refs.reviewSpoiler) refs.reviewSpoiler.checked = false;
+  setStarRating(0);
+  refs.submitReviewBtn.textContent = t('reviews.submit');
+  if (refs.cancelEditReview) refs.cancelEditReview.hidden = true;
+}
+
 /* Rating stars UI */
+function setStarRating(n) {
+  state.reviewRating = n;
+  refs.ratingStars.querySelectorAll('button').forEach((b, idx) => {
+    b.classList.toggle('active', (idx+1) <= n);
+    b.setAttribute('aria-checked', String((idx+1) === n));
+  });
+}
+
 function setupRatingStars() {
   refs.ratingStars.innerHTML = '';
-  let current = 0;
   for (let i=1;i<=5;i++){
-    const btn = create('button', { type: 'button', html: '★' });
+    const btn = create('button', { type: 'button', html: '★', role: 'radio', 'aria-label': t('reviews.stars', { count: i }), 'aria-checked': 'false' });
     btn.dataset.value = i;
-    btn.addEventListener('click', async (e) => {
-      current = i;
-      updateStars();
-    });
-    btn.addEventListener('mouseover', (e) => {
-      const v = Number(btn.dataset.value);
-      highlightStars(v);
+    // clicking the current rating again clears it
+    btn.addEventListener('click', () => setStarRating(state.reviewRating === i ? 0 : i));
+    btn.addEventListener('mouseover', () => {
+      refs.ratingStars.querySelectorAll('button').forEach((b, idx) => b.classList.toggle('active', (idx+1) <= i));
     });
-    btn.addEventListener('mouseout', (e) => updateStars());
+    btn.addEventListener('mouseout', () => setStarRating(state.reviewRating));
     refs.ratingStars.appendChild(btn);
   }
-  function highlightStars(n){
-    const nodes = refs.ratingStars.querySelectorAll('button');
-    nodes.forEach((b, idx) => {
-      b.classList.toggle('active', (idx+1) <= n);
-    });
-  }
-  function updateStars(){
-    const nodes = refs.ratingStars.querySelectorAll('button');
-    nodes.forEach((b, idx) => {
-      b.classList.toggle('active', (idx+1) <= current);
-    });
-  }
+  setStarRating(0);
 
   // submit handler
   refs.submitReviewBtn.onclick = async () => {
     const text = refs.reviewText.value.trim();
-    const rating = Array.from(refs.ratingStars.children).filter(b => b.classList.contains('active')).length;
+    const rating = state.reviewRating;
+    const spoiler = !!(refs.reviewSpoiler && refs.reviewSpoiler.checked);
     const animeId = refs.modal.dataset.animeId;
-    if (!animeId) { toast('Missing anime id'); return; }
-    if (!rating && !text) { toast('Provide rating or review text'); return; }
-
-    if (window.AnimeRatFirebase && window.AnimeRatFirebase.submitReview) {
-      try {
-        await window.AnimeRatFirebase.submitReview(animeId, rating, text);
-        toast('Review submitted');
-        refs.reviewText.value = '';
-      } catch (err) {
-        console.error('Submit review error', err);
-        toast('Failed to submit review: ' + (err.message || err));
-      }
-    } else {
-      // local fallback - append to list (client-only)
-      const fake = { username: 'You (local)', rating, text, createdAt: Date.now() };
-      renderReviews([fake].concat([]));
-      toast('Saved locally (no account)');
-      refs.reviewText.value = '';
+    if (!animeId) { toast(t('reviews.missingId')); return; }
+    if (!rating && !text) { toast(t('reviews.needInput')); return; }
+
+    const backend = getReviewBackend();
+    const editing = state.editingReviewId;
+    try {
+      if (editing) await backend.update(animeId, editing, { rating, text, spoiler });
+      else await backend.submit(animeId, { rating, text, spoiler });
+      toast(t(editing ? 'reviews.updated' : backend.name === 'local' ? 'reviews.savedLocal' : 'reviews.submitted'));
+      cancelReviewEdit();
+    } catch (err) {
+      console.error('Submit review error', err);
+      toast(t('reviews.submitFailed', { error: err.message || err }));
     }
   };
 }
 
-/* ==========================
-   CARD MENU (3-dot) - placeholders
-   ========================== */
-function showCardMenu(animeId, anchorEl) {
-  // Simple native menu using prompt for now (replace with better UI later)
-  const action = prompt('Options: (1) Add to MyList, (2) Notify me, (3) Share URL, (4) Report\nEnter 1-4:');
-  if (!action) return;
-  if (action === '1') {
-    if (window.AnimeRatFirebase && window.AnimeRatFirebase.addToMyList) {
-      window.AnimeRatFirebase.addToMyList(animeId, { title: 'unknown' }).then(()=>toast('Added')).catch(e=>toast('Add failed'));
-    } else {
-      toast('Sign in to save to MyList');
-    }
-  } else if (action === '2') {
-    if (window.AnimeRatFirebase && window.AnimeRatFirebase.requestAndSaveFCMToken) {
-      // toggling subscribe is app-specific; we'll just save a token here
-      window.AnimeRatFirebase.requestAndSaveFCMToken().then(()=>toast('Notifications enabled')).catch(e=>toast('Notif failed'));
-    } else {
-      toast('Notifications not setup');
-    }
-  } else if (action === '3') {
-    const url = `https://myanimelist.net/anime/${animeId}`;
-    navigator.clipboard?.writeText(url).then(()=>toast('URL copied to clipboard')).catch(()=>prompt('Copy this URL', url));
-  } else if (action === '4') {
-    // report flow placeholder
-    toast('Reported (placeholder)');
-  }
+/* MAL reviews tab (/anime/{id}/reviews) */
+function loadMalReviewsTab(id, panel, opts) {
+  return loadTabInto(panel, id, async () => {
+    const res = await core.getAnimePart(id, 'reviews', opts);
+    const items = res && res.data ? res.data : [];
+    if (!items.length) return emptyNote(t('reviews.malEmpty'));
+    const list = create('div', { class: 'mal-reviews' });
+    items.slice(0, 20).forEach(r => {
+      const text = create('p', { class: 'review-text' });
+      const full = r.review || '';
+      renderReviewText(text, toShort(full, 600), !!(r.is_spoiler || r.tags && r.tags.includes('Spoiler')));
+      const body = create('div', { class: 'review' }, [
+        create('strong', { class: 'review-user' }, r.user?.username || t('reviews.malUser')),
+        create('span', { class: 'review-rating' }, r.score ? ` ★ ${r.score}/10` : ''),
+        create('span', { class: 'small-label' }, (r.tags || []).length ? ` · ${r.tags.join(', ')}` : ''),
+        text,
+        create('time', { class: 'review-time' }, r.date ? i18n.relativeTime(r.date) : ''),
+      ]);
+      if (full.length > 600 && !r.is_spoiler) {
+        const more = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('reviews.readFull'));
+        more.addEventListener('click', () => { renderReviewText(text, full, false); more.remove(); });
+        body.appendChild(more);
+      }
+      list.appendChild(body);
+    });
+    return list;
+  });
 }
 
 /* ==========================
-   SEARCH SUGGESTIONS & HANDLING
+   MYLIST SYNC (the store is core.js; Firebase optional)
    ========================== */
-const debouncedSuggest = debounce(async (q) => {
-  if (!q || q.length < 2) { refs.searchSuggest.classList.remove('visible'); refs.searchSuggest.innerHTML = ''; return; }
+/* Push an entry to Firebase when it's wired; local store stays the source of truth */
+function syncListEntry(entry, removed = false) {
+  const fb = window.AnimeRatFirebase;
+  if (!fb) return;
+  const op = removed ? fb.removeFromMyList && fb.removeFromMyList(entry.id)
+                     : fb.addToMyList && fb.addToMyList(entry.id, entry);
+  if (op && op.catch) op.catch(err => console.warn('MyList sync failed for', entry.id, err));
+}
+
+/* Pull remote entries (if the backend offers them) and keep whichever copy is newer */
+async function pullRemoteMyList() {
+  const fb = window.AnimeRatFirebase;
+  if (!fb || !fb.getMyList) return;
   try {
-    const res = await searchAnime(q, 8);
-    const items = res && res.data ? res.data : [];
-    renderSuggestions(items.slice(0,6));
+    const remote = await fb.getMyList();
+    const newer = [];
+    (remote || []).forEach(r => {
+      const id = String(r.id || r.mal_id || '');
+      if (!id) return;
+      const local = core.listGet(id);
+      if (!local || (r.updatedAt || 0) > (local.updatedAt || 0)) newer.push(Object.assign({}, local, r, { id }));
+    });
+    core.putListEntries(newer, 'remote'); // 'remote' so the subscriber doesn't push them straight back
   } catch (err) {
-    console.error('Suggest error', err);
-    refs.searchSuggest.classList.remove('visible');
-    refs.searchSuggest.innerHTML = '';
+    console.warn('MyList pull failed', err);
   }
-}, 240);
+}
 
-function renderSuggestions(items) {
-  refs.searchSuggest.innerHTML = '';
-  if (!items || items.length === 0) { refs.searchSuggest.classList.remove('visible'); return; }
-  items.forEach(it => {
-    const li = create('li', { role: 'option' });
-    li.textContent = it.title;
-    li.addEventListener('click', () => {
-      refs.searchInput.value = it.title;
-      refs.searchSuggest.classList.remove('visible');
-      performSearch(it.title);
-    });
-    refs.searchSuggest.appendChild(li);
+/* list:changed subscriber: push local edits, then refresh whatever shows list state */
+function onListChanged(e) {
+  if (e.source === 'local') e.entries.forEach(entry => syncListEntry(entry, e.type === 'remove'));
+  renderMyList();
+  if (router.base === '/stats') renderStatsDashboard();
+  if (parseRoute().section === 'snapshot') renderSnapshotView(parseRoute().params);
+  e.entries.forEach(entry => {
+    elAll(`.anime-card[data-id="${entry.id}"]`).forEach(card => markCardListState(card, entry.id));
   });
-  refs.searchSuggest.classList.add('visible');
 }
 
 /* ==========================
-   SEARCH / FEED LOADERS
+   MYLIST VIEW
    ========================== */
-async function performSearch(q) {
-  if (!q || q.trim().length === 0) return;
-  state.query = q.trim();
-  state.page = 1;
-  try {
-    const res = await searchAnime(state.query, PAGE_SIZE);
-    const items = res && res.data ? res.data : [];
-    state.feeds.home = items;
-    state.lastSearchResults = items;
-    r
+function renderMyListTabs() {
+  if (!refs.myListTabs) return;
+  const counts = core.listCounts();
+  refs.myListTabs.innerHTML = '';
+  ['all'].concat(LIST_STATUSES).forEach(s => {
+    const label = statusLabel(s);
+    const tab = create('button', { type: 'button', role: 'tab', class: 'list-tab' + (state.listStatus === s ? ' active' : ''), 'aria-selected': String(state.listStatus === s) }, `${label} (${counts[s] || 0})`);
+    tab.addEventListener('click', () => navigate('/mylist', { status: s === 'all' ? null : s }));
+    refs.myListTabs.appendChild(tab);
+  });
+}
+
+function renderListCard(entry) {
+  const node = renderCard(Object.assign(withKnownTitles(entry.id, entry.title), {
+    mal_id: entry.id,
+    images: { jpg: { image_url: entry.image } },
+    episodes: entry.totalEpisodes,
+  }));
+  const body = node.querySelector('.card-body');
+  const controls = create('div', { class: 'list-controls' });
+  // keep card click (opens modal) from firing while editing
+  controls.addEventListener('click', (e) => e.stopPropagation());
+  controls.addEventListener('keydown', (e) => e.stopPropagation());
+
+  const statusSel = create('select', { class: 'select', 'aria-label': t('mylist.status') });
+  LIST_STATUSES.forEach(s => {
+    const opt = create('option', { value: s }, statusLabel(s));
+    if (s === entry.status) opt.selected = true;
+    statusSel.appendChild(opt);
+  });
+  statusSel.addEventListener('change', () => core.updateListEntry(entry.id, { status: statusSel.value }));
+
+  const progress = create('span', { class: 'list-progress' }, t('mylist.progress', { watched: entry.episodesWatched, total: entry.totalEpisodes || '?' }));
+  const plusOne = create('button', { type: 'button', class: 'btn btn-sm', title: t('mylist.plusOneTitle') }, t('mylist.plusOne'));
+  plusOne.disabled = !!entry.totalEpisodes && entry.episodesWatched >= entry.totalEpisodes;
+  plusOne.addEventListener('click', () => core.incrementEpisode(entry.id));
+
+  const scoreSel = create('select', { class: 'select', 'aria-label': t('mylist.score') });
+  for (let i = 0; i <= 10; i++) {
+    const opt = create('option', { value: String(i) }, i ? `${i}/10` : t('mylist.noScore'));
+    if (i === entry.score) opt.selected = true;
+    scoreSel.appendChild(opt);
+  }
+  scoreSel.addEventListener('change', () => core.updateListEntry(entry.id, { score: Number(scoreSel.value) }));
+
+  const startInput = create('input', { type: 'date', class: 'select', 'aria-label': t('mylist.startDate'), value: entry.startDate || '' });
+  startInput.addEventListener('change', () => core.updateListEntry(entry.id, { startDate: startInput.value || null }));
+  const finishInput = create('input', { type: 'date', class: 'select', 'aria-label': t('mylist.finishDate'), value: entry.finishDate || '' });
+  finishInput.addEventListener('change', () => core.updateListEntry(entry.id, { finishDate: finishInput.value || null }));
+
+  const removeBtn = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('mylist.remove'));
+  removeBtn.addEventListener('click', () => { core.removeFromMyList(entry.id); toast(t('mylist.removed')); });
+
+  controls.appendChild(create('div', { class: 'list-row' }, [statusSel, scoreSel]));
+  controls.appendChild(create('div', { class: 'list-row' }, [progress, plusOne]));
+  controls.appendChild(create('div', { class: 'list-row' }, [startInput, finishInput]));
+  controls.appendChild(create('div', { class: 'list-row' }, [removeBtn]));
+  body.appendChild(controls);
+  return node;
+}
+
+function renderMyList() {
+  if (!refs.myListFeed) return;
+  renderMyListTabs();
+  const entries = core.listAll(state.listStatus);
+  state.feeds.mylist = entries;
+  refs.myListFeed.innerHTML = '';
+  if (entries.length === 0) {
+    refs.myListFeed.appendChild(emptyNote(t('mylist.empty')));
+    return;
+  }
+  const frag = document.createDocumentFragment();
+  entries.forEach(e => frag.appendChild(renderListCard(e)));
+  refs.myListFeed.appendChild(frag);
+}
+
+function updateModalListButton() {
+  if (!refs.modalAddList) return;
+  const entry = state.modalAnime && core.listGet(state.modalAnime.mal_id);
+  refs.modalAddList.textContent = entry ? `✓ ${statusLabel(entry.status)}` : t('modal.addToList');
+  if (refs.modalStartWatching) {
+    // offered for the title the random picker just chose
+    const picked = state.modalAnime && String(state.modalAnime.mal_id) === picker.pickedId;
+    refs.modalStartWatching.hidden = !picked || (entry && entry.status === 'watching');
+  }
+}
+
+/* ==========================
+   MYLIST IMPORT / EXPORT
+   Formats: MAL XML, AniList JSON (MediaListCollection shape), CSV, AnimeRat JSON.
+   Import is always a dry run first: parse -> resolve ids -> diff -> preview -> apply.
+   ========================== */
+const MAL_STATUS = { watching: 'Watching', completed: 'Completed', 'on-hold': 'On-Hold', dropped: 'Dropped', 'plan-to-watch': 'Plan to Watch' };
+const ANILIST_STATUS = { watching: 'CURRENT', completed: 'COMPLETED', 'on-hold': 'PAUSED', dropped: 'DROPPED', 'plan-to-watch': 'PLANNING' };
+const CSV_COLUMNS = ['mal_id', 'title', 'status', 'episodes_watched', 'total_episodes', 'score', 'start_date', 'finish_date'];
+
+/* Map the many spellings of a watch status onto LIST_STATUSES */
+function parseListStatus(raw) {
+  const v = String(raw || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const map = {
+    watching: 'watching', current: 'watching', repeating: 'watching', '1': 'watching',
+    completed: 'completed', '2': 'completed',
+    'on-hold': 'on-hold', onhold: 'on-hold', paused: 'on-hold', '3': 'on-hold',
+    dropped: 'dropped', '4': 'dropped',
+    'plan-to-watch': 'plan-to-watch', plantowatch: 'plan-to-watch', planning: 'plan-to-watch', ptw: 'plan-to-watch', '6': 'plan-to-watch',
+  };
+  return map[v] || null;
+}
+
+function parseListDate(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'object') { // AniList FuzzyDate
+    if (!raw.year) return null;
+    return `${raw.year}-${String(raw.month || 1).padStart(2, '0')}-${String(raw.day || 1).padStart(2, '0')}`;
+  }
+  const s = String(raw).trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !s.startsWith('0000') ? s : null;
+}
+
+function fuzzyDate(iso) {
+  if (!iso) return { year: null, month: null, day: null };
+  const [y, m, d] = iso.split('-').map(Number);
+  return { year: y, month: m, day: d };
+}
+
+/* ---------- export ---------- */
+function xmlEscape(s) { return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]); }
+
+function exportMalXml(entries) {
+  const rows = entries.map(e => [
+    '  <anime>',
+    `    <series_animedb_id>${e.id}</series_animedb_id>`,
+    `    <series_title>${xmlEscape(e.title)}</series_title>`,
+    `    <series_episodes>${e.totalEpisodes || 0}</series_episodes>`,
+    `    <my_watched_episodes>${e.episodesWatched}</my_watched_episodes>`,
+    `    <my_start_date>${e.startDate || '0000-00-00'}</my_start_date>`,
+    `    <my_finish_date>${e.finishDate || '0000-00-00'}</my_finish_date>`,
+    `    <my_score>${e.score}</my_score>`,
+    `    <my_status>${MAL_STATUS[e.status]}</my_status>`,
+    '    <update_on_import>1</update_on_import>',
+    '  </anime>',
+  ].join('\n'));
+  return ['<?xml version="1.0" encoding="UTF-8" ?>', '<myanimelist>',
+    '  <myinfo>', '    <user_export_type>1</user_export_type>', `    <user_total_anime>${entries.length}</user_total_anime>`, '  </myinfo>']
+    .concat(rows, '</myanimelist>', '').join('\n');
+}
+
+function exportAniListJson(entries) {
+  const lists = LIST_STATUSES.map(status => ({
+    name: LIST_STATUS_LABELS[status],
+    status: ANILIST_STATUS[status],
+    entries: entries.filter(e => e.status === status).map(e => ({
+      status: ANILIST_STATUS[e.status],
+      progress: e.episodesWatched,
+      score: e.score,
+      startedAt: fuzzyDate(e.startDate),
+      completedAt: fuzzyDate(e.finishDate),
+      media: { idMal: Number(e.id), episodes: e.totalEpisodes || null, title: { romaji: e.title } },
+    })),
+  })).filter(l => l.entries.length);
+  return JSON.stringify({ data: { MediaListCollection: { user: { mediaListOptions: { scoreFormat: 'POINT_10' } }, lists } } }, null, 2);
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function exportCsv(entries) {
+  const lines = [CSV_COLUMNS.join(',')].concat(entries.map(e => [
+    e.id, e.title, e.status, e.episodesWatched, e.totalEpisodes || '', e.score || '', e.startDate || '', e.finishDate || '',
+  ].map(csvCell).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function exportNativeJson(entries) {
+  return JSON.stringify({ app: 'animerat', version: 1, exportedAt: new Date().toISOString(), entries }, null, 2);
+}
+
+const EXPORT_FORMATS = {
+  mal: { ext: 'xml', mime: 'application/xml', build: exportMalXml },
+  anilist: { ext: 'json', mime: 'application/json', build: exportAniListJson },
+  csv: { ext: 'csv', mime: 'text/csv', build: exportCsv },
+  json: { ext: 'json', mime: 'application/json', build: exportNativeJson },
+};
+
+function downloadText(filename, text, mime) {
+  downloadBlob(filename, new Blob([text], { type: mime + ';charset=utf-8' }));
+}
+
+function exportMyList(format) {
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) return;
+  const entries = core.listAll();
+  if (!entries.length) { toast(t('mylist.isEmpty')); return; }
+  downloadText(`animerat-mylist-${format}-${todayISO()}.${fmt.ext}`, fmt.build(entries), fmt.mime);
+  toast(t('mylist.exported', { count: entries.length }));
+}
+
+/* ---------- import: parse into { id, title, status, episodesWatched, totalEpisodes, score, startDate, finishDate } ---------- */
+function parseMalXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('Not valid XML');
+  if (!doc.querySelector('myanimelist')) throw new Error('Not a MyAnimeList export (<myanimelist> missing)');
+  const val = (node, tag) => { const n = node.querySelector(tag); return n ? n.textContent.trim() : ''; };
+  return Array.from(doc.querySelectorAll('myanimelist > anime')).map(a => ({
+    id: val(a, 'series_animedb_id') || null,
+    title: val(a, 'series_title'),
+    status: parseListStatus(val(a, 'my_status')),
+    episodesWatched: Number(val(a, 'my_watched_episodes')) || 0,
+    totalEpisodes: Number(val(a, 'series_episodes')) || 0,
+    score: Number(val(a, 'my_score')) || 0,
+    startDate: parseListDate(val(a, 'my_start_date')),
+    finishDate: parseListDate(val(a, 'my_finish_date')),
+  }));
+}
+
+/* RFC 4180-ish: quoted fields, doubled quotes, CRLF or LF */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function parseCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length < 2) throw new Error('CSV has no data rows');
+  const head = rows[0].map(h => h.trim().toLowerCase());
+  const col = (...names) => head.findIndex(h => names.includes(h));
+  const idx = {
+    id: col('mal_id', 'series_animedb_id', 'id', 'idmal'),
+    title: col('title', 'series_title', 'name'),
+    status: col('status', 'my_status'),
+    watched: col('episodes_watched', 'my_watched_episodes', 'progress', 'watched'),
+    total: col('total_episodes', 'series_episodes', 'episodes'),
+    score: col('score', 'my_score'),
+    start: col('start_date', 'my_start_date', 'started'),
+    finish: col('finish_date', 'my_finish_date', 'finished', 'completed'),
+  };
+  if (idx.id < 0 && idx.title < 0) throw new Error('CSV needs a mal_id or title column');
+  const get = (r, i) => (i >= 0 && r[i] !== undefined ? r[i].trim() : '');
+  return rows.slice(1).map(r => ({
+    id: get(r, idx.id) || null,
+    title: get(r, idx.title),
+    status: parseListStatus(get(r, idx.status)),
+    episodesWatched: Number(get(r, idx.watched)) || 0,
+    totalEpisodes: Number(get(r, idx.total)) || 0,
+    score: Number(get(r, idx.score)) || 0,
+    startDate: parseListDate(get(r, idx.start)),
+    finishDate: parseListDate(get(r, idx.finish)),
+  }));
+}
+
+/* AniList scoreFormat -> multiplier onto our 0–10 scale */
+const ANILIST_SCORE_SCALE = { POINT_100: 0.1, POINT_10_DECIMAL: 1, POINT_10: 1, POINT_5: 2, POINT_3: 10 / 3 };
+
+function parseJsonList(text) {
+  const json = JSON.parse(text);
+  if (json && json.app === 'animerat' && Array.isArray(json.entries)) {
+    return json.entries.map(e => Object.assign({}, e, { status: parseListStatus(e.status) }));
+  }
+  // AniList: { data: { MediaListCollection: { lists } } } or just { lists }
+  const coll = (json && json.data && json.data.MediaListCollection) || json.MediaListCollection || json;
+  if (!coll || !Array.isArray(coll.lists)) throw new Error('Unrecognised JSON list format');
+  const format = coll.user && coll.user.mediaListOptions && coll.user.mediaListOptions.scoreFormat;
+  const allScores = coll.lists.flatMap(l => (l.entries || []).map(e => Number(e.score) || 0));
+  // exports without the user block: anything above 10 can only be a 100-point list
+  const scale = ANILIST_SCORE_SCALE[format] || (allScores.some(n => n > 10) ? ANILIST_SCORE_SCALE.POINT_100 : 1);
+  const out = [];
+  coll.lists.forEach(l => (l.entries || []).forEach(e => {
+    const media = e.media || {};
+    const raw = Number(e.score) || 0;
+    const score = raw > 0 ? Math.min(10, Math.max(1, Math.round(raw * scale))) : 0;
+    out.push({
+      id: media.idMal || null,
+      title: (media.title && (media.title.romaji || media.title.english || media.title.native)) || '',
+      status: parseListStatus(e.status || l.status),
+      episodesWatched: Number(e.progress) || 0,
+      totalEpisodes: Number(media.episodes) || 0,
+      score,
+      startDate: parseListDate(e.startedAt),
+      finishDate: parseListDate(e.completedAt),
+    });
+  }));
+  return out;
+}
+
+function parseImportFile(name, text) {
+  const trimmed = text.trim();
+  if (/\.xml$/i.test(name) || trimmed.startsWith('<')) return parseMalXml(trimmed);
+  if (/\.json$/i.test(name) || trimmed.startsWith('{')) return parseJsonList(trimmed);
+  return parseCsv(text);
+}
+
+/* Titles without a mal_id: ask Jikan, prefer an exact (case-insensitive) title match */
+async function resolveImportIds(records, onProgress) {
+  const missing = records.filter(r => !r.id && r.title);
+  let done = 0;
+  for (const r of missing) {
+    try {
+      const res = await core.searchAnime(r.title, 5, { priority: PRIORITY.low });
+      const items = res && res.data ? res.data : [];
+      const want = r.title.toLowerCase();
+      const hit = items.find(a => [a.title, a.title_english].concat(a.title_synonyms || []).some(t => t && t.toLowerCase() === want)) || items[0];
+      if (hit) { r.id = String(hit.mal_id); r.resolvedTitle = hit.title; if (!r.totalEpisodes) r.totalEpisodes = hit.episodes || 0; }
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      console.warn('Could not resolve', r.title, err);
+    }
+    if (onProgress) onProgress(++done, missing.length);
+  }
+  return records;
+}
+
+/* Diff imported records against the store. Conflicts = the import would overwrite local progress. */
+function planImport(records) {
+  const plan = { add: [], update: [], conflict: [], unchanged: [], unresolved: [] };
+  const seen = new Set();
+  records.forEach(r => {
+    if (!r.id) { plan.unresolved.push({ incoming: r }); return; }
+    const id = String(r.id);
+    if (seen.has(id)) return; // duplicates inside the file: first one wins
+    seen.add(id);
+    const incoming = normalizeListEntry(Object.assign({}, r, { id, status: r.status || 'plan-to-watch', title: r.title || r.resolvedTitle }));
+    const local = core.listGet(id);
+    if (!local) { plan.add.push({ incoming }); return; }
+    const fields = ['status', 'episodesWatched', 'score', 'startDate', 'finishDate'];
+    const diffs = fields.filter(f => (incoming[f] || null) !== (local[f] || null) && !(f !== 'status' && !incoming[f]));
+    if (!diffs.length) { plan.unchanged.push({ incoming, local }); return; }
+    const losesData = (local.score && diffs.includes('score')) ||
+      (diffs.includes('episodesWatched') && local.episodesWatched > incoming.episodesWatched) ||
+      (diffs.includes('status') && local.status !== 'plan-to-watch');
+    (losesData ? plan.conflict : plan.update).push({ incoming, local, diffs });
+  });
+  return plan;
+}
+
+function applyImportPlan(plan, takeConflicts) {
+  const now = nowMs();
+  const entries = [];
+  const write = (incoming, local) => {
+    // merge: keep local fields the import doesn't set (e.g. cover image)
+    const merged = normalizeListEntry(Object.assign({}, local, incoming, {
+      image: (local && local.image) || incoming.image,
+      totalEpisodes: incoming.totalEpisodes || (local && local.totalEpisodes) || 0,
+      updatedAt: now,
+    }));
+    entries.push(merged);
+  };
+  plan.add.forEach(p => write(p.incoming, null));
+  plan.update.forEach(p => write(p.incoming, p.local));
+  plan.conflict.filter(p => takeConflicts.has(p.incoming.id)).forEach(p => write(p.incoming, p.local));
+  core.putListEntries(entries);
+}
+
+function describeEntry(e) {
+  if (!e) return '—';
+  const parts = [e.status ? statusLabel(e.status) : '?', t('mylist.progress', { watched: e.episodesWatched, total: e.totalEpisodes || '?' })];
+  if (e.score) parts.push(`★ ${e.score}`);
+  return parts.join(' · ');
+}
+
+function renderImportPreview(plan, fileName) {
+  const box = refs.importPreview;
+  box.innerHTML = '';
+  box.hidden = false;
+  const takeConflicts = new Set();
+  box.appendChild(create('h3', {}, t('import.title', { file: fileName })));
+  box.appendChild(create('p', { class: 'small-label' }, t('import.summary', {
+    add: plan.add.length, update: plan.update.length, conflict: plan.conflict.length, unchanged: plan.unchanged.length, unresolved: plan.unresolved.length,
+  })));
+
+  const section = (kind, rows, render) => {
+    if (!rows.length) return;
+    const details = create('details', { class: 'import-group' }, create('summary', {}, `${t('import.' + kind)} (${rows.length})`));
+    if (kind === 'conflicts') details.open = true;
+    const ul = create('ul', { class: 'import-rows' });
+    rows.forEach(r => ul.appendChild(render(r)));
+    details.appendChild(ul);
+    box.appendChild(details);
+  };
+  section('new', plan.add, p => create('li', {}, `${p.incoming.title} — ${describeEntry(p.incoming)}`));
+  section('updated', plan.update, p => create('li', {}, `${p.incoming.title}: ${describeEntry(p.local)} → ${describeEntry(p.incoming)}`));
+  section('conflicts', plan.conflict, p => {
+    const cb = create('input', { type: 'checkbox', 'aria-label': t('import.useImported', { title: p.incoming.title }) });
+    cb.addEventListener('change', () => { if (cb.checked) takeConflicts.add(p.incoming.id); else takeConflicts.delete(p.incoming.id); });
+    return create('li', {}, [create('label', {}, [cb, ' ' + t('import.keepOrUse', { title: p.local.title, local: describeEntry(p.local), incoming: describeEntry(p.incoming) })])]);
+  });
+  section('unresolved', plan.unresolved, p => create('li', {}, p.incoming.title || t('import.untitledRow')));
+
+  const applyBtn = create('button', { type: 'button', class: 'btn btn-primary btn-sm' }, t('import.apply'));
+  const cancelBtn = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('app.cancel'));
+  applyBtn.disabled = !(plan.add.length || plan.update.length || plan.conflict.length);
+  applyBtn.addEventListener('click', () => {
+    applyImportPlan(plan, takeConflicts);
+    const n = plan.add.length + plan.update.length + takeConflicts.size;
+    box.hidden = true;
+    box.innerHTML = '';
+    toast(t('mylist.imported', { count: n }));
+  });
+  cancelBtn.addEventListener('click', () => { box.hidden = true; box.innerHTML = ''; });
+  box.appendChild(create('div', { class: 'import-actions' }, [cancelBtn, applyBtn]));
+}
+
+async function handleImportFile(file) {
+  if (!file) return;
+  const box = refs.importPreview;
+  box.hidden = false;
+  box.innerHTML = '';
+  const status = create('p', { class: 'small-label' }, t('import.reading', { file: file.name }));
+  box.appendChild(status);
+  try {
+    const records = parseImportFile(file.name, await file.text());
+    if (!records.length) throw new Error(t('import.noEntries'));
+    await resolveImportIds(records, (n, total) => { status.textContent = t('import.lookingUp', { n, total }); });
+    renderImportPreview(planImport(records), file.name);
+  } catch (err) {
+    console.error('Import failed', err);
+    box.innerHTML = '';
+    box.appendChild(create('p', { class: 'small-label' }, t('import.failed', { error: err.message || err })));
+  }
+}
+
+function initListImportExport() {
+  if (!refs.exportBtn) return;
+  refs.exportBtn.addEventListener('click', () => exportMyList(refs.exportFormat.value));
+  refs.importFile.addEventListener('change', () => {
+    handleImportFile(refs.importFile.files[0]);
+    refs.importFile.value = ''; // same file can be picked again
+  });
+  if (refs.shareSnapshotBtn) refs.shareSnapshotBtn.addEventListener('click', shareSnapshotLink);
+  if (refs.saveSnapshotBtn) refs.saveSnapshotBtn.addEventListener('click', saveSnapshotFile);
+  if (refs.snapshotFile) refs.snapshotFile.addEventListener('change', () => {
+    openSnapshotFile(refs.snapshotFile.files[0]);
+    refs.snapshotFile.value = '';
+  });
+}
+
+/* ==========================
+   LIST SNAPSHOTS (#/snapshot?d=...)
+   MyList packed into the link itself (or a .txt holding the same string), so nothing is
+   uploaded anywhere. Opening one shows that list read-only, compared against yours.
+   ========================== */
+const SHARE_NAME_KEY = 'shareName';
+const SNAPSHOT_LINK_MAX = 16000; // chars; some chat apps cut longer links, the file always works
+
+const snapshotView = { d: null, snap: null, error: null }; // last decoded ?d= (tabs re-render without decoding)
+
+async function buildSnapshot() {
+  const entries = core.listAll();
+  if (!entries.length) { toast(t('mylist.isEmpty')); return null; }
+  const name = prompt(t('snapshot.namePrompt'), core.storeGet(SHARE_NAME_KEY, '') || '');
+  if (name === null) return null;
+  core.storeSet(SHARE_NAME_KEY, name.trim());
+  return encodeSnapshot(makeSnapshot(entries, name.trim()));
+}
+
+async function shareSnapshotLink() {
+  const encoded = await buildSnapshot();
+  if (!encoded) return;
+  const url = location.origin + location.pathname + routeHref('/snapshot', { d: encoded });
+  const msg = t(url.length > SNAPSHOT_LINK_MAX ? 'snapshot.copiedLong' : 'snapshot.copied');
+  if (!navigator.clipboard) { prompt(t('snapshot.copyPrompt'), url); return; }
+  navigator.clipboard.writeText(url).then(() => toast(msg)).catch(() => prompt(t('snapshot.copyPrompt'), url));
+}
+
+async function saveSnapshotFile() {
+  const encoded = await buildSnapshot();
+  if (encoded) downloadText(`animerat-snapshot-${todayISO()}.txt`, encoded, 'text/plain');
+}
+
+/* Accepts a snapshot file or a text file with a pasted snapshot link */
+async function openSnapshotFile(file) {
+  if (!file) return;
+  const text = (await file.text()).trim();
+  const m = text.match(/[?&]d=([\w-]+)/);
+  navigate('/snapshot', { d: m ? m[1] : text });
+}
+
+function snapshotCard(entry, note) {
+  return Object.assign(withKnownTitles(entry.id, entry.title), { mal_id: entry.id, images: { jpg: { image_url: entry.image } }, episodes: entry.totalEpisodes || null, status: note });
+}
+
+function snapshotFeed(title, items, emptyText) {
+  const feed = create('div', { class: 'feed list snapshot-feed' });
+  if (items.length) renderFeedInto(feed, items);
+  else feed.appendChild(emptyNote(emptyText));
+  return create('div', { class: 'snapshot-block' }, [create('h3', {}, title), feed]);
+}
+
+async function renderSnapshotView(params) {
+  const root = refs.snapshotView;
+  if (!root) return;
+  if (!params.d) { root.innerHTML = ''; root.appendChild(emptyNote(t('snapshot.none'))); return; }
+  if (snapshotView.d !== params.d) {
+    root.innerHTML = '';
+    root.appendChild(emptyNote(t('snapshot.opening')));
+    try { snapshotView.snap = readSnapshot(await decodeSnapshot(params.d)); snapshotView.error = null; }
+    catch (err) { snapshotView.snap = null; snapshotView.error = err.message; }
+    snapshotView.d = params.d;
+    if (parseRoute().params.d !== params.d) return; // moved on while decoding
+  }
+  root.innerHTML = '';
+  if (!snapshotView.snap) { root.appendChild(emptyNote(t('snapshot.failed', { error: snapshotView.error }))); return; }
+
+  const { name, createdAt, entries } = snapshotView.snap;
+  const mine = core.listAll();
+  const cmp = compareLists(mine, entries);
+  const who = name || t('snapshot.they');
+  const status = LIST_STATUSES.includes(params.status) ? params.status : 'all';
+
+  const save = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('snapshot.saveShort'));
+  save.addEventListener('click', () => downloadText(`animerat-snapshot-${name ? name.replace(/\W+/g, '-').toLowerCase() + '-' : ''}${todayISO()}.txt`, params.d, 'text/plain'));
+  root.appendChild(create('div', { class: 'stats-toolbar' }, [
+    create('span', { class: 'small-label' }, [
+      name ? t('snapshot.namedList', { name }) : t('snapshot.sharedList'),
+      t('snapshot.titles', { count: entries.length }),
+      createdAt ? t('snapshot.from', { date: i18n.formatDate(createdAt) }) : '',
+      t('snapshot.readOnly'),
+    ].filter(Boolean).join(' · ')),
+    save,
+  ]));
+
+  root.appendChild(create('div', { class: 'stat-tiles' }, [
+    statTile(t('snapshot.compatibility'), cmp.compatibility == null ? '—' : `${cmp.compatibility}%`, cmp.scored ? t('snapshot.compatibilityFrom', { count: cmp.scored }) : t('snapshot.compatibilityNone')),
+    statTile(t('snapshot.shared'), String(cmp.shared.length), t('snapshot.sharedSub', { theirs: entries.length, mine: mine.length })),
+    statTile(t('snapshot.loved'), String(cmp.recommendations.length), t('snapshot.lovedSub', { score: LOVED_SCORE })),
+  ]));
+
+  root.appendChild(snapshotFeed(t('snapshot.lovedHeading'), cmp.recommendations.map(e => snapshotCard(e, `${who}: ${e.score}/10`)),
+    t('snapshot.lovedEmpty')));
+  root.appendChild(snapshotFeed(t('snapshot.sharedHeading'), cmp.shared.map(s => snapshotCard(s,
+    t('snapshot.scoreGap', { mine: s.mine.score || '–', who, theirs: s.theirs.score || '–' }) + (s.diff ? ` (${s.diff > 0 ? '+' : ''}${s.diff})` : ''))),
+    t('snapshot.sharedEmpty')));
+
+  const tabs = create('div', { class: 'list-tabs', role: 'navigation', 'aria-label': t('snapshot.filterLabel') });
+  ['all'].concat(LIST_STATUSES).forEach(st => {
+    const n = st === 'all' ? entries.length : entries.filter(e => e.status === st).length;
+    const label = statusLabel(st);
+    const a = create('a', { class: 'list-tab' + (st === status ? ' active' : ''), href: routeHref('/snapshot', { d: params.d, status: st === 'all' ? null : st }) }, `${label} (${n})`);
+    if (st === status) a.setAttribute('aria-current', 'page');
+    tabs.appendChild(a);
+  });
+  const block = snapshotFeed(name ? t('snapshot.namedList', { name }) : t('snapshot.theirList'), entries.filter(e => status === 'all' || e.status === status)
+    .map(e => snapshotCard(e, `${statusLabel(e.status)}${e.score ? ' · ' + e.score + '/10' : ''}`)), t('snapshot.statusEmpty'));
+  block.insertBefore(tabs, block.lastChild);
+  root.appendChild(block);
+}
+
+/* Shared handler for the various "Add to MyList" buttons */
+function handleAddToMyList(anime) {
+  if (!anime) { toast(t('anime.notLoaded')); return; }
+  if (core.listGet(anime.mal_id || anime.id)) { toast(t('mylist.already')); return; }
+  core.addToMyList(anime);
+  updateModalListButton();
+  toast(t('mylist.added'));
+}
+
+/* ==========================
+   STATS DASHBOARD (#/stats)
+   Computed from MyList + cached /full payloads; charts are plain SVG so they can be
+   rasterized for PNG export without any chart service.
+   ========================== */
+const DEFAULT_EP_MINUTES = 24;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attrs = {}, children = []) {
+  const n = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach(k => n.setAttribute(k, attrs[k]));
+  (Array.isArray(children) ? children : [children]).forEach(c => {
+    if (typeof c === 'string') n.appendChild(document.createTextNode(c));
+    else if (c) n.appendChild(c);
+  });
+  return n;
+}
+
+/* "24 min per ep", "1 hr 55 min" -> minutes */
+function parseDurationMin(text) {
+  if (!text) return 0;
+  const h = /(\d+)\s*hr/.exec(text), m = /(\d+)\s*min/.exec(text), sec = /(\d+)\s*sec/.exec(text);
+  return (h ? Number(h[1]) * 60 : 0) + (m ? Number(m[1]) : 0) + (sec ? Number(sec[1]) / 60 : 0);
+}
+
+function cachedDetails(id) {
+  const mem = core.detailsCache[id];
+  if (mem && mem.data) return mem.data;
+  const stored = core.cacheGet(`anime:${id}`, Infinity);
+  return stored && stored.data ? stored.data : null;
+}
+
+function countTop(counter, n) {
+  return Object.entries(counter).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n);
+}
+
+function computeListStats(entries = core.listAll('all')) {
+  const stats = {
+    generatedAt: new Date().toISOString(),
+    titles: entries.length, withDetails: 0, minutesWatched: 0, episodesWatched: 0,
+    meanScore: null, meanMalScore: null,
+    statusCounts: {}, histogram: Array(10).fill(0), genres: {}, studios: {}, timeline: {},
+  };
+  const scored = [], malScored = [];
+  entries.forEach(e => {
+    const d = cachedDetails(e.id);
+    if (d) stats.withDetails++;
+    stats.statusCounts[e.status] = (stats.statusCounts[e.status] || 0) + 1;
+    const watched = e.episodesWatched || (e.status === 'completed' ? (e.totalEpisodes || (d && d.episodes) || 0) : 0);
+    stats.episodesWatched += watched;
+    stats.minutesWatched += watched * ((d && parseDurationMin(d.duration)) || DEFAULT_EP_MINUTES);
+    if (e.score) {
+      stats.histogram[Math.max(1, Math.round(e.score)) - 1]++;
+      scored.push(e.score);
+      if (d && d.score) malScored.push(d.score);
+    }
+    if (d && e.status !== 'plan-to-watch') {
+      (d.genres || []).forEach(g => { stats.genres[g.name] = (stats.genres[g.name] || 0) + 1; });
+      (d.studios || []).forEach(st => { stats.studios[st.name] = (stats.studios[st.name] || 0) + 1; });
+    }
+    [['started', e.startDate], ['finished', e.finishDate]].forEach(([kind, date]) => {
+      if (!date) return;
+      const month = date.slice(0, 7);
+      const slot = stats.timeline[month] = stats.timeline[month] || { started: 0, finished: 0 };
+      slot[kind]++;
+    });
+  });
+  const mean = arr => (arr.length ? Math.round(arr.reduce((a, b) => a + b, 0) / arr.length * 100) / 100 : null);
+  stats.meanScore = mean(scored);
+  stats.meanMalScore = mean(malScored);
+  stats.daysWatched = Math.round(stats.minutesWatched / 60 / 24 * 10) / 10;
+  const started = entries.length - (stats.statusCounts['plan-to-watch'] || 0);
+  stats.completionRate = started ? Math.round((stats.statusCounts.completed || 0) / started * 1000) / 10 : null;
+  return stats;
+}
+
+/* Last `n` months as YYYY-MM, oldest first */
+function recentMonths(n) {
+  const out = [];
+  const d = new Date();
+  d.setDate(1);
+  for (let i = 0; i < n; i++) {
+    out.unshift(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
+    d.setMonth(d.getMonth() - 1);
+  }
+  return out;
+}
+
+/* Resolved theme colours; CSS vars don't survive SVG -> PNG rasterizing */
+function chartColors() {
+  const css = getComputedStyle(document.documentElement);
+  const v = (name, fallback) => (css.getPropertyValue(name) || '').trim() || fallback;
+  return { a: v('--accent', '#ff63b8'), b: v('--muted', '#bda3c7'), text: v('--text', '#fff'), muted: v('--muted', '#bda3c7'), bg: v('--panel', '#0f0b14') };
+}
+
+/* Vertical bars; `series` = [{ name, values, color }] drawn side by side per label */
+function barChart(title, labels, series, { width = 520, height = 220 } = {}) {
+  const c = chartColors();
+  const pad = { l: 30, r: 10, t: 28, b: 34 };
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const slot = (width - pad.l - pad.r) / Math.max(1, labels.length);
+  const barW = Math.max(2, slot * 0.8 / series.length);
+  const h = height - pad.t - pad.b;
+  const svg = svgEl('svg', { xmlns: SVG_NS, viewBox: `0 0 ${width} ${height}`, width, height, role: 'img', 'aria-label': title, 'font-family': 'system-ui, sans-serif' });
+  svg.appendChild(svgEl('rect', { width, height, fill: c.bg, rx: 10 }));
+  svg.appendChild(svgEl('text', { x: pad.l, y: 18, fill: c.text, 'font-size': 13, 'font-weight': 700 }, title));
+  svg.appendChild(svgEl('text', { x: pad.l - 6, y: pad.t + 8, fill: c.muted, 'font-size': 10, 'text-anchor': 'end' }, String(max)));
+  svg.appendChild(svgEl('line', { x1: pad.l, x2: width - pad.r, y1: pad.t + h, y2: pad.t + h, stroke: c.muted, 'stroke-opacity': 0.3 }));
+  const every = Math.ceil(labels.length / 12); // keep axis labels legible
+  labels.forEach((label, i) => {
+    series.forEach((s, j) => {
+      const v = s.values[i] || 0;
+      const bh = v / max * h;
+      svg.appendChild(svgEl('rect', { x: pad.l + i * slot + slot * 0.1 + j * barW, y: pad.t + h - bh, width: barW - 1, height: bh, fill: s.color, rx: 2 },
+        svgEl('title', {}, `${label} · ${s.name}: ${v}`)));
+    });
+    if (i % every === 0) svg.appendChild(svgEl('text', { x: pad.l + i * slot + slot / 2, y: height - pad.b + 14, fill: c.muted, 'font-size': 10, 'text-anchor': 'middle' }, label));
+  });
+  if (series.length > 1) {
+    series.forEach((s, j) => {
+      const x = width - pad.r - (series.length - j) * 80;
+      svg.appendChild(svgEl('rect', { x, y: height - 14, width: 10, height: 10, fill: s.color, rx: 2 }));
+      svg.appendChild(svgEl('text', { x: x + 14, y: height - 5, fill: c.muted, 'font-size': 10 }, s.name));
+    });
+  }
+  return svg;
+}
+
+/* Horizontal bars for ranked [name, count] rows */
+function rankChart(title, rows, { width = 520 } = {}) {
+  const c = chartColors();
+  const rowH = 22, labelW = 150, top = 30;
+  const height = top + Math.max(1, rows.length) * rowH + 10;
+  const max = Math.max(1, ...rows.map(r => r[1]));
+  const svg = svgEl('svg', { xmlns: SVG_NS, viewBox: `0 0 ${width} ${height}`, width, height, role: 'img', 'aria-label': title, 'font-family': 'system-ui, sans-serif' });
+  svg.appendChild(svgEl('rect', { width, height, fill: c.bg, rx: 10 }));
+  svg.appendChild(svgEl('text', { x: 12, y: 18, fill: c.text, 'font-size': 13, 'font-weight': 700 }, title));
+  if (!rows.length) svg.appendChild(svgEl('text', { x: 12, y: top + 14, fill: c.muted, 'font-size': 11 }, t('stats.noData')));
+  rows.forEach(([name, count], i) => {
+    const y = top + i * rowH;
+    const w = count / max * (width - labelW - 50);
+    svg.appendChild(svgEl('text', { x: labelW - 8, y: y + 14, fill: c.muted, 'font-size': 11, 'text-anchor': 'end' }, toShort(name, 22)));
+    svg.appendChild(svgEl('rect', { x: labelW, y: y + 4, width: Math.max(2, w), height: rowH - 8, fill: c.a, rx: 3 }));
+    svg.appendChild(svgEl('text', { x: labelW + w + 6, y: y + 14, fill: c.text, 'font-size': 11 }, String(count)));
+  });
+  return svg;
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = create('a', { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* SVG -> <img> -> canvas -> PNG (2x for crisp sharing) */
+function exportSvgPng(svg, filename) {
+  const width = Number(svg.getAttribute('width')), height = Number(svg.getAttribute('height'));
+  const src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(svg));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = create('canvas', { width: width * 2, height: height * 2 });
+    const ctx = canvas.getContext('2d');
+    ctx.scale(2, 2);
+    ctx.drawImage(img, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? downloadBlob(filename, blob) : toast(t('stats.pngFailed'))), 'image/png');
+  };
+  img.onerror = () => toast(t('stats.pngFailed'));
+  img.src = src;
+}
+
+function statTile(label, value, sub = '') {
+  return create('div', { class: 'stat-tile' }, [
+    create('span', { class: 'small-label' }, label),
+    create('strong', {}, value),
+    sub ? create('span', { class: 'small-label' }, sub) : null,
+  ]);
+}
+
+function chartCard(svg, slug) {
+  const btn = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, 'PNG');
+  btn.setAttribute('aria-label', t('stats.exportPng', { chart: svg.getAttribute('aria-label') }));
+  btn.addEventListener('click', () => exportSvgPng(svg, `animerat-${slug}-${todayISO()}.png`));
+  return create('figure', { class: 'chart-card' }, [svg, create('figcaption', {}, btn)]);
+}
+
+/* Fetch the /full payloads the dashboard is missing, politely (low priority) */
+async function fillMissingDetails(btn) {
+  const missing = core.listAll('all').filter(e => !cachedDetails(e.id));
+  btn.disabled = true;
+  let done = 0;
+  for (const e of missing) {
+    if (router.base !== '/stats') break; // user left; stop queueing
+    btn.textContent = t('stats.fetching', { done, total: missing.length });
+    try { await core.getAnimeDetails(e.id, { priority: PRIORITY.low }); } catch (err) { if (isAbortError(err)) break; }
+    done++;
+  }
+  if (router.base === '/stats') renderStatsDashboard();
+}
+
+function renderStatsDashboard() {
+  const root = refs.statsDashboard;
+  if (!root) return;
+  root.innerHTML = '';
+  const entries = core.listAll('all');
+  if (!entries.length) { root.appendChild(emptyNote(t('stats.empty'))); return; }
+  const stats = computeListStats(entries);
+  const c = chartColors();
+
+  const toolbar = create('div', { class: 'stats-toolbar' });
+  const json = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('stats.exportJson'));
+  json.addEventListener('click', () => downloadText(`animerat-stats-${todayISO()}.json`, JSON.stringify(stats, null, 2), 'application/json'));
+  toolbar.appendChild(json);
+  if (stats.withDetails < entries.length) {
+    toolbar.appendChild(create('span', { class: 'small-label' }, t('stats.partial', { have: stats.withDetails, total: entries.length })));
+    const fill = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('stats.fetchMissing'));
+    fill.addEventListener('click', () => fillMissingDetails(fill));
+    toolbar.appendChild(fill);
+  }
+  root.appendChild(toolbar);
+
+  root.appendChild(create('div', { class: 'stat-tiles' }, [
+    statTile(t('stats.days'), i18n.formatNumber(stats.daysWatched), t('stats.episodes', { count: stats.episodesWatched })),
+    statTile(t('stats.mean'), stats.meanScore == null ? '—' : i18n.formatNumber(stats.meanScore), stats.meanMalScore == null ? '' : t('stats.malMean', { score: i18n.formatNumber(stats.meanMalScore) })),
+    statTile(t('stats.completion'), stats.completionRate == null ? '—' : `${stats.completionRate}%`, t('stats.started', { done: stats.statusCounts.completed || 0, total: entries.length - (stats.statusCounts['plan-to-watch'] || 0) })),
+    statTile(t('stats.titles'), i18n.formatNumber(stats.titles), LIST_STATUSES.map(st => `${statusLabel(st)} ${stats.statusCounts[st] || 0}`).join(' · ')),
+  ]));
+
+  const months = recentMonths(12);
+  const grid = create('div', { class: 'chart-grid' });
+  grid.appendChild(chartCard(barChart(t('stats.scoreChart'), ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'], [{ name: t('stats.titles'), values: stats.histogram, color: c.a }]), 'scores'));
+  grid.appendChild(chartCard(barChart(t('stats.timelineChart'), months.map(m => m.slice(2)), [
+    { name: t('stats.startedSeries'), values: months.map(m => (stats.timeline[m] || {}).started || 0), color: c.b },
+    { name: t('stats.finishedSeries'), values: months.map(m => (stats.timeline[m] || {}).finished || 0), color: c.a },
+  ]), 'timeline'));
+  grid.appendChild(chartCard(rankChart(t('stats.topGenres'), countTop(stats.genres, 10)), 'genres'));
+  grid.appendChild(chartCard(rankChart(t('stats.topStudios'), countTop(stats.studios, 10)), 'studios'));
+  root.appendChild(grid);
+}
+
+/* ==========================
+   CARD MENU (3-dot popover, shared by cards and #modalMore)
+   ========================== */
+const cardMenu = { anime: null, anchor: null };
+
+function cardMenuItems(anime) {
+  const id = anime.mal_id || anime.id;
+  const entry = core.listGet(id);
+  return [
+    entry
+      ? { label: t('menu.removeFromList', { status: statusLabel(entry.status) }), run: () => { core.removeFromMyList(id); updateModalListButton(); toast(t('mylist.removed')); } }
+      : { label: t('hero.addToList'), run: () => handleAddToMyList(anime) },
+    getReminder(id)
+      ? { label: t('menu.stopReminders'), run: () => { unsubscribeReminder(id); toast(t('reminders.removed')); } }
+      : { label: t('menu.notify'), run: () => subscribeReminder(anime) },
+    { label: t('menu.copyLink'), run: () => copyShareUrl(id) },
+    { label: t('menu.report'), run: () => openReportDialog(anime) },
+  ];
+}
+
+function showCardMenu(anime, anchorEl) {
+  const menu = refs.cardMenu;
+  if (!menu || !anime) return;
+  if (cardMenu.anchor === anchorEl && !menu.hidden) { closeCardMenu(true); return; }
+  closeCardMenu(false);
+  cardMenu.anime = anime;
+  cardMenu.anchor = anchorEl;
+
+  menu.innerHTML = '';
+  cardMenuItems(anime).forEach(item => {
+    const btn = create('button', { type: 'button', role: 'menuitem', tabindex: '-1' }, item.label);
+    btn.addEventListener('click', () => { closeCardMenu(true); item.run(); });
+    menu.appendChild(btn);
+  });
+  menu.setAttribute('aria-label', t('menu.options', { title: titleOf(anime) }));
+  menu.hidden = false;
+  anchorEl.setAttribute('aria-expanded', 'true');
+  positionCardMenu(menu, anchorEl);
+  menu.querySelector('[role="menuitem"]').focus();
+}
+
+/* Below the anchor, right-aligned; flip above / clamp when it would leave the viewport */
+function positionCardMenu(menu, anchorEl) {
+  const r = anchorEl.getBoundingClientRect();
+  const w = menu.offsetWidth, h = menu.offsetHeight;
+  let top = r.bottom + 4;
+  if (top + h > window.innerHeight - 8 && r.top - h - 4 > 8) top = r.top - h - 4;
+  const left = Math.min(Math.max(8, r.right - w), window.innerWidth - w - 8);
+  menu.style.top = `${Math.round(top)}px`;
+  menu.style.left = `${Math.round(left)}px`;
+}
+
+function closeCardMenu(returnFocus) {
+  const menu = refs.cardMenu;
+  if (!menu || menu.hidden) return;
+  menu.hidden = true;
+  menu.innerHTML = '';
+  const anchor = cardMenu.anchor;
+  cardMenu.anime = null;
+  cardMenu.anchor = null;
+  if (anchor) {
+    anchor.setAttribute('aria-expanded', 'false');
+    if (returnFocus && anchor.isConnected) anchor.focus();
+  }
+}
+
+function onCardMenuKey(e) {
+  const items = Array.from(refs.cardMenu.querySelectorAll('[role="menuitem"]'));
+  const i = items.indexOf(document.activeElement);
+  let next = null;
+  if (e.key === 'ArrowDown') next = items[(i + 1) % items.length];
+  else if (e.key === 'ArrowUp') next = items[(i - 1 + items.length) % items.length];
+  else if (e.key === 'Home') next = items[0];
+  else if (e.key === 'End') next = items[items.length - 1];
+  else if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation(); // don't also close the details modal underneath
+    closeCardMenu(true);
+    return;
+  } else if (e.key === 'Tab') { closeCardMenu(false); return; }
+  if (next) { e.preventDefault(); next.focus(); }
+}
+
+function copyShareUrl(id) {
+  const url = animeShareUrl(id);
+  if (!navigator.clipboard) { prompt(t('share.copyPrompt'), url); return; }
+  navigator.clipboard.writeText(url).then(() => toast(t('share.copied'))).catch(() => prompt(t('share.copyPrompt'), url));
+}
+
+function initCardMenu() {
+  if (!refs.cardMenu) return;
+  refs.cardMenu.addEventListener('keydown', onCardMenuKey);
+  document.addEventListener('pointerdown', (e) => {
+    if (refs.cardMenu.hidden) return;
+    if (refs.cardMenu.contains(e.target) || (cardMenu.anchor && cardMenu.anchor.contains(e.target))) return;
+    closeCardMenu(false);
+  }, true);
+  // fixed-position menu would drift from its anchor
+  window.addEventListener('resize', () => closeCardMenu(false));
+  window.addEventListener('scroll', () => closeCardMenu(false), true);
+  if (refs.modalMore) {
+    refs.modalMore.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!state.modalAnime) { toast(t('anime.notLoaded')); return; }
+      showCardMenu(state.modalAnime, refs.modalMore);
+    });
+  }
+}
+
+/* ==========================
+   REPORTS (queued locally, sent through AnimeRatFirebase.submitReport when available)
+   ========================== */
+const REPORT_QUEUE_KEY = 'reportQueue';
+const REPORT_REASONS = ['wrong-info', 'inappropriate', 'broken-media', 'duplicate', 'other']; // labels: report.reason.<key>
+const report = { anime: null, returnFocus: null };
+
+function openReportDialog(anime) {
+  const dlg = refs.reportModal;
+  if (!dlg) return;
+  report.anime = anime;
+  report.returnFocus = document.activeElement;
+  refs.reportTitle.textContent = t('report.title', { title: titleOf(anime) });
+  refs.reportForm.reset();
+  dlg.setAttribute('aria-hidden', 'false');
+  const first = refs.reportForm.querySelector('input[name="reason"]');
+  if (first) first.focus();
+}
+
+function closeReportDialog() {
+  if (!refs.reportModal || refs.reportModal.getAttribute('aria-hidden') === 'true') return;
+  refs.reportModal.setAttribute('aria-hidden', 'true');
+  report.anime = null;
+  if (report.returnFocus && report.returnFocus.isConnected) report.returnFocus.focus();
+  report.returnFocus = null;
+}
+
+function queueReport(entry) {
+  const queue = core.storeGet(REPORT_QUEUE_KEY, []) || [];
+  queue.push(entry);
+  core.storeSet(REPORT_QUEUE_KEY, queue);
+}
+
+let reportFlush = null; // the running flush; a second caller waits for it, then sends what it left
+
+/* Send whatever is queued; anything that fails stays for the next attempt */
+async function flushReports() {
+  if (reportFlush) return reportFlush.then(() => flushReports());
+  const fb = window.AnimeRatFirebase;
+  if (!fb || !fb.submitReport || navigator.onLine === false) return 0;
+  const queue = core.storeGet(REPORT_QUEUE_KEY, []) || [];
+  if (!queue.length) return 0;
+  reportFlush = (async () => {
+    const sent = new Set();
+    for (const entry of queue) {
+      try { await fb.submitReport(entry); sent.add(entry.id); }
+      catch (err) { console.warn('Report send failed', err); }
+    }
+    // re-read: reports queued while we were sending must survive
+    const now = core.storeGet(REPORT_QUEUE_KEY, []) || [];
+    core.storeSet(REPORT_QUEUE_KEY, now.filter(e => !sent.has(e.id)));
+    return sent.size;
+  })();
+  try { return await reportFlush; }
+  finally { reportFlush = null; }
+}
+
+async function submitReportForm(e) {
+  e.preventDefault();
+  const anime = report.anime;
+  if (!anime) return;
+  const data = new FormData(refs.reportForm);
+  const reason = data.get('reason');
+  if (!REPORT_REASONS.includes(reason)) { toast(t('report.pickReason')); return; }
+  queueReport({
+    id: 'rep' + nowMs().toString(36) + Math.random().toString(36).slice(2, 6),
+    animeId: String(anime.mal_id || anime.id),
+    title: anime.title || '',
+    reason,
+    details: String(data.get('details') || '').trim().slice(0, 1000),
+    createdAt: nowMs(),
+  });
+  closeReportDialog();
+  const sent = await flushReports();
+  toast(t(sent ? 'report.sent' : 'report.queued'));
+}
+
+function initReportDialog() {
+  const dlg = refs.reportModal;
+  if (!dlg) return;
+  const reasons = refs.reportForm.querySelector('.report-reasons');
+  REPORT_REASONS.forEach(value => {
+    reasons.appendChild(create('label', { class: 'report-reason' }, [
+      create('input', { type: 'radio', name: 'reason', value, required: '' }), ' ',
+      create('span', { 'data-i18n': 'report.reason.' + value }, t('report.reason.' + value)),
+    ]));
+  });
+  refs.reportForm.addEventListener('submit', submitReportForm);
+  dlg.addEventListener('click', (e) => { if (e.target.closest('[data-action="close-report"]')) closeReportDialog(); });
+  dlg.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { e.stopPropagation(); closeReportDialog(); return; }
+    if (e.key !== 'Tab') return;
+    // keep focus inside the dialog
+    const focusables = Array.from(dlg.querySelectorAll('input, textarea, button')).filter(n => !n.disabled && n.offsetParent !== null);
+    const first = focusables[0], last = focusables[focusables.length - 1];
+    if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+  });
+  window.addEventListener('online', () => { flushReports(); });
+  flushReports();
+}
+
+/* ==========================
+   RANDOM PICKER (#randomBtn). Rolling, constraints and pick history live in core.pickRandom;
+   this is the dialog and the "start watching" shortcut in the details modal.
+   ========================== */
+const PICKER_PREFS_KEY = 'pickerPrefs';
+const picker = { abort: null, returnFocus: null, pickedId: null };
+
+function openPicker() {
+  const dlg = refs.pickerModal;
+  if (!dlg) return;
+  picker.returnFocus = document.activeElement;
+  writePickerForm(core.storeGet(PICKER_PREFS_KEY, {}) || {});
+  refs.pickerStatus.textContent = '';
+  dlg.setAttribute('aria-hidden', 'false');
+  renderPickerGenres();
+  const first = refs.pickerForm.querySelector('input[name="source"]:checked');
+  if (first) first.focus();
+}
+
+function closePicker(restoreFocus = true) {
+  if (!refs.pickerModal || refs.pickerModal.getAttribute('aria-hidden') === 'true') return;
+  if (picker.abort) { picker.abort.abort(); picker.abort = null; }
+  refs.pickerModal.setAttribute('aria-hidden', 'true');
+  if (restoreFocus && picker.returnFocus && picker.returnFocus.isConnected) picker.returnFocus.focus();
+  picker.returnFocus = null;
+}
+
+function readPickerForm() {
+  const data = new FormData(refs.pickerForm);
+  return {
+    source: data.get('source') === 'backlog' ? 'backlog' : 'random',
+    weight: data.get('weight') || '',
+    type: data.get('type') || '',
+    minScore: Number(data.get('minScore')) || 0,
+    maxEpisodes: Number(data.get('maxEpisodes')) || 0,
+    genres: data.getAll('genres').map(Number),
+    excludeAdult: data.get('excludeAdult') === 'on',
+  };
+}
+
+function writePickerForm(prefs) {
+  const form = refs.pickerForm;
+  form.reset();
+  if (prefs.source) form.querySelector(`input[name="source"][value="${prefs.source}"]`).checked = true;
+  form.elements.weight.value = prefs.weight || '';
+  form.elements.type.value = prefs.type || '';
+  form.elements.minScore.value = prefs.minScore || '';
+  form.elements.maxEpisodes.value = prefs.maxEpisodes || '';
+  if (prefs.excludeAdult === false) form.elements.excludeAdult.checked = false;
+  const genres = (prefs.genres || []).map(String);
+  form.querySelectorAll('input[name="genres"]').forEach(cb => { cb.checked = genres.includes(cb.value); });
+}
+
+async function renderPickerGenres() {
+  if (!refs.pickerGenres || refs.pickerGenres.childElementCount) return;
+  try {
+    const res = await core.getGenresList();
+    (res && res.data ? res.data : []).forEach(g => {
+      refs.pickerGenres.appendChild(create('label', { class: 'genre-chip' }, [
+        create('input', { type: 'checkbox', name: 'genres', value: String(g.mal_id) }), ' ' + g.name,
+      ]));
+    });
+    writePickerForm(core.storeGet(PICKER_PREFS_KEY, {}) || {}); // tick the saved genres now that they exist
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Picker genres load failed', err);
+    refs.pickerGenres.textContent = t('genres.unavailable');
+  }
+}
+
+async function submitPicker(e) {
+  e.preventDefault();
+  const constraints = readPickerForm();
+  core.storeSet(PICKER_PREFS_KEY, constraints);
+  if (constraints.source === 'backlog' && !core.listCounts()['plan-to-watch']) {
+    refs.pickerStatus.textContent = t('picker.backlogEmpty');
+    return;
+  }
+  if (picker.abort) picker.abort.abort();
+  picker.abort = new AbortController();
+  const submit = refs.pickerForm.querySelector('[type="submit"]');
+  submit.disabled = true;
+  try {
+    const pick = await core.pickRandom(constraints, {
+      signal: picker.abort.signal,
+      priority: PRIORITY.high,
+      onTry: n => { refs.pickerStatus.textContent = n > 1 ? t('picker.rerolling', { count: n }) : t('picker.rolling'); },
+    });
+    if (!pick) {
+      refs.pickerStatus.textContent = t('picker.noMatch');
+      return;
+    }
+    picker.pickedId = String(pick.anime.mal_id);
+    closePicker(false);
+    toast(t('picker.picked', { title: titleOf(pick.anime) }));
+    navigate(`/anime/${pick.anime.mal_id}`);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Random pick failed', err);
+    refs.pickerStatus.textContent = t('picker.failed');
+  } finally {
+    submit.disabled = false;
+  }
+}
+
+/* One click from the picked title's modal: list it (or move it) as Watching */
+function startWatchingPick() {
+  const anime = state.modalAnime;
+  if (!anime) return;
+  if (core.listGet(anime.mal_id)) core.updateListEntry(anime.mal_id, { status: 'watching' });
+  else core.addToMyList(anime, 'watching');
+  updateModalListButton();
+  toast(t('picker.watching', { title: titleOf(anime) }));
+}
+
+function initPicker() {
+  const dlg = refs.pickerModal;
+  if (!dlg) return;
+  refs.randomBtn.addEventListener('click', openPicker);
+  refs.pickerForm.addEventListener('submit', submitPicker);
+  if (refs.modalStartWatching) refs.modalStartWatching.addEventListener('click', startWatchingPick);
+  dlg.addEventListener('click', (e) => { if (e.target.closest('[data-action="close-picker"]')) closePicker(); });
+  dlg.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { e.stopPropagation(); closePicker(); return; }
+    if (e.key !== 'Tab') return;
+    // keep focus inside the dialog
+    const focusables = Array.from(dlg.querySelectorAll('input, select, summary, button')).filter(n => !n.disabled && n.offsetParent !== null);
+    const first = focusables[0], last = focusables[focusables.length - 1];
+    if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+  });
+}
+
+/* ==========================
+   AIRING REMINDERS
+   Subscriptions are local (keyed by mal_id). Episode times come from the JST `broadcast`
+   slot bounded by `aired`; a page timer fires notifications while AnimeRat is open, and
+   the inbox catches up on whatever aired since the last visit.
+   ========================== */
+const REMINDERS_KEY = 'reminders';
+const LAST_VISIT_KEY = 'lastVisit';
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+const SNOOZE_MS = 24 * 3600 * 1000;
+const REMINDER_MAX_WAIT_MS = 6 * 3600 * 1000; // re-check at least this often (clock drift, sleep)
+
+let reminders = core.storeGet(REMINDERS_KEY, {}) || {};
+const reminderState = { timer: null, prevVisit: 0, inbox: [] };
+
+function saveReminders() {
+  core.storeSet(REMINDERS_KEY, reminders);
+  renderInbox();
+  scheduleReminders();
+}
+
+function getReminder(id) { return reminders[String(id)] || null; }
+
+function reminderFromAnime(anime) {
+  return {
+    title: anime.title || '',
+    image: (anime.images && anime.images.jpg && anime.images.jpg.image_url) || '',
+    broadcast: anime.broadcast ? { day: anime.broadcast.day, time: anime.broadcast.time } : null,
+    airedFrom: (anime.aired && anime.aired.from) || null,
+    airedTo: (anime.aired && anime.aired.to) || null,
+    episodes: anime.episodes || null,
+    status: anime.status || '',
+  };
+}
+
+/* Subscribe; card data often lacks broadcast/aired, so top it up from the details endpoint */
+async function subscribeReminder(anime) {
+  const id = String(anime.mal_id);
+  reminders[id] = Object.assign({ id, subscribedAt: nowMs(), lastChecked: nowMs(), muted: false, snoozeUntil: 0 }, reminderFromAnime(anime));
+  saveReminders();
+  requestNotificationPermission();
+  const fb = window.AnimeRatFirebase;
+  if (fb && fb.requestAndSaveFCMToken) {
+    // optional server-side push on top of the local reminders
+    fb.requestAndSaveFCMToken()
+      .then(() => (fb.subscribeToAnime ? fb.subscribeToAnime(id) : null))
+      .catch(err => console.warn('Push subscription failed', err));
+  }
+  if (!anime.broadcast || !anime.aired) {
+    try {
+      const res = await core.getAnimeDetails(id, { priority: PRIORITY.low });
+      if (res && res.data && reminders[id]) { Object.assign(reminders[id], reminderFromAnime(res.data)); saveReminders(); }
+    } catch (err) {
+      if (!isAbortError(err)) console.warn('Reminder details failed', err);
+    }
+  }
+  const sub = reminders[id];
+  const next = sub && nextEpisodeTime(sub);
+  toast(next ? t('reminders.set', { when: i18n.formatDate(next, SHORT_DATETIME) }) : t('reminders.setUnknown'));
+}
+
+function unsubscribeReminder(id) {
+  delete reminders[String(id)];
+  reminderState.inbox = reminderState.inbox.filter(x => x.sub.id !== String(id));
+  saveReminders();
+  const fb = window.AnimeRatFirebase;
+  if (fb && fb.unsubscribeFromAnime) fb.unsubscribeFromAnime(String(id)).catch(() => {});
+}
+
+function snoozeReminder(id, ms = SNOOZE_MS) {
+  const sub = getReminder(id);
+  if (!sub) return;
+  sub.snoozeUntil = sub.snoozeUntil > nowMs() ? 0 : nowMs() + ms; // toggles
+  saveReminders();
+}
+
+function muteReminder(id) {
+  const sub = getReminder(id);
+  if (!sub) return;
+  sub.muted = !sub.muted;
+  if (!sub.muted) sub.lastChecked = nowMs(); // don't replay what aired while muted
+  saveReminders();
+}
+
+function reminderEnd(sub) {
+  if (sub.airedTo) return Date.parse(sub.airedTo) + 24 * 3600 * 1000;
+  return /finished/i.test(sub.status || '') ? 0 : Infinity;
+}
+
+/* Broadcast times in (from, to], inside the aired window */
+function episodeTimesBetween(sub, from, to) {
+  const start = sub.airedFrom ? Date.parse(sub.airedFrom) - 24 * 3600 * 1000 : -Infinity;
+  const end = Math.min(reminderEnd(sub), to);
+  const first = nextBroadcast(sub.broadcast, Math.max(from + 1, start));
+  const out = [];
+  for (let t = first ? first.getTime() : Infinity; t <= end && out.length < 52; t += WEEK_MS) out.push(t);
+  return out;
+}
+
+function nextEpisodeTime(sub, from = nowMs()) {
+  const times = episodeTimesBetween(sub, from, from + 60 * WEEK_MS);
+  return times.length ? new Date(times[0]) : null;
+}
+
+/* Rough episode number: weeks since the premiere, capped by the episode count */
+function episodeNumberAt(sub, ts) {
+  if (!sub.airedFrom) return null;
+  const n = Math.floor((ts - Date.parse(sub.airedFrom) + 24 * 3600 * 1000) / WEEK_MS) + 1;
+  return n > 0 ? (sub.episodes ? Math.min(n, sub.episodes) : n) : null;
+}
+
+function scheduleReminders() {
+  clearTimeout(reminderState.timer);
+  const now = nowMs();
+  let wake = now + REMINDER_MAX_WAIT_MS;
+  Object.values(reminders).forEach(sub => {
+    if (sub.muted) return;
+    if (sub.snoozeUntil > now) { wake = Math.min(wake, sub.snoozeUntil); return; }
+    const next = nextEpisodeTime(sub, now);
+    if (next) wake = Math.min(wake, next.getTime());
+  });
+  reminderState.timer = setTimeout(checkReminders, Math.max(1000, wake - now));
+}
+
+function checkReminders() {
+  const now = nowMs();
+  let changed = false;
+  Object.values(reminders).forEach(sub => {
+    if (sub.muted || sub.snoozeUntil > now) return; // snoozed episodes fire once the snooze ends
+    const times = episodeTimesBetween(sub, sub.lastChecked || now, now);
+    if (times.length) {
+      const latest = times[times.length - 1];
+      notifyEpisode(sub, latest, times.length);
+      reminderState.inbox.push({ sub, time: latest });
+    }
+    if (sub.lastChecked !== now) { sub.lastChecked = now; changed = true; }
+    if (sub.snoozeUntil) { sub.snoozeUntil = 0; changed = true; }
+  });
+  if (changed) core.storeSet(REMINDERS_KEY, reminders);
+  renderInbox();
+  scheduleReminders();
+}
+
+function requestNotificationPermission() {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+  Notification.requestPermission().catch(() => {});
+}
+
+/* Prefer the service worker (works with the tab in the background), then a page Notification, then a toast */
+async function notifyEpisode(sub, ts, count = 1) {
+  const ep = episodeNumberAt(sub, ts);
+  const title = entryTitle(sub.id, sub.title) || t('notify.title');
+  const body = count > 1 ? t('notify.many', { count }) : ep ? t('notify.one', { ep }) : t('notify.some');
+  const options = { body, icon: sub.image || undefined, tag: 'episode-' + sub.id, data: { url: animeShareUrl(sub.id) } };
+  if ('Notification' in window && Notification.permission === 'granted') {
+    try {
+      const reg = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (reg && reg.showNotification) { await reg.showNotification(title, options); return; }
+      const n = new Notification(title, options);
+      n.onclick = () => { window.focus(); navigate(`/anime/${sub.id}`); n.close(); };
+      return;
+    } catch (err) {
+      console.warn('Notification failed', err);
+    }
+  }
+  toast(`${title}: ${body}`);
+}
+
+/* ---------- inbox ---------- */
+function collectMissedEpisodes(since) {
+  const now = nowMs();
+  const out = [];
+  Object.values(reminders).forEach(sub => {
+    const times = episodeTimesBetween(sub, Math.max(since, sub.subscribedAt || 0), now);
+    if (times.length) out.push({ sub, time: times[times.length - 1], count: times.length });
+  });
+  return out;
+}
+
+function clearInbox() {
+  reminderState.inbox = [];
+  reminderState.prevVisit = nowMs();
+  core.storeSet(LAST_VISIT_KEY, reminderState.prevVisit);
+  renderInbox();
+}
+
+function toggleInbox(open) {
+  if (!refs.inboxPanel) return;
+  const show = typeof open === 'boolean' ? open : refs.inboxPanel.hidden;
+  refs.inboxPanel.hidden = !show;
+  refs.inboxBtn.setAttribute('aria-expanded', String(show));
+  if (show) renderInbox();
+}
+
+function renderReminderRow(sub) {
+  const now = nowMs();
+  const next = nextEpisodeTime(sub, now);
+  const snoozed = sub.snoozeUntil > now;
+  const when = sub.muted ? t('reminders.muted') : snoozed ? t('reminders.snoozedUntil', { when: i18n.formatDate(sub.snoozeUntil, SHORT_DATETIME) })
+    : next ? t('reminders.next', { when: i18n.formatDate(next, SHORT_DATETIME) }) : t('reminders.noBroadcast');
+  const btn = (label, fn, pressed) => {
+    const b = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, label);
+    if (pressed !== undefined) b.setAttribute('aria-pressed', String(pressed));
+    b.addEventListener('click', fn);
+    return b;
+  };
+  return create('li', { class: 'reminder-row' }, [
+    create('a', { href: routeHref(`/anime/${sub.id}`), class: 'reminder-title' }, entryTitle(sub.id, sub.title) || `#${sub.id}`),
+    create('span', { class: 'small-label' }, when),
+    create('div', { class: 'reminder-actions' }, [
+      btn(t(snoozed ? 'reminders.unsnooze' : 'reminders.snooze'), () => snoozeReminder(sub.id), snoozed),
+      btn(t(sub.muted ? 'reminders.unmute' : 'reminders.mute'), () => muteReminder(sub.id), sub.muted),
+      btn(t('mylist.remove'), () => unsubscribeReminder(sub.id)),
+    ]),
+  ]);
+}
+
+function renderInbox() {
+  if (!refs.inboxBtn) return;
+  const items = reminderState.inbox;
+  refs.inboxCount.textContent = items.length > 9 ? '9+' : String(items.length);
+  refs.inboxCount.hidden = !items.length;
+  refs.inboxBtn.setAttribute('aria-label', items.length ? t('reminders.labelNew', { count: items.length }) : t('reminders.label'));
+  const panel = refs.inboxPanel;
+  if (!panel || panel.hidden) return;
+  panel.innerHTML = '';
+
+  const head = create('div', { class: 'inbox-head' }, [create('strong', {}, t('inbox.title'))]);
+  if (items.length) {
+    const clear = create('button', { type: 'button', class: 'btn btn-ghost btn-sm' }, t('inbox.markSeen'));
+    clear.addEventListener('click', clearInbox);
+    head.appendChild(clear);
+  }
+  panel.appendChild(head);
+  if (!items.length) panel.appendChild(emptyNote(t('inbox.empty')));
+  else {
+    const list = create('ul', { class: 'inbox-list' });
+    items.slice().sort((a, b) => b.time - a.time).forEach(({ sub, time, count }) => {
+      const ep = episodeNumberAt(sub, time);
+      list.appendChild(create('li', {}, [
+        create('a', { href: routeHref(`/anime/${sub.id}`) }, entryTitle(sub.id, sub.title) || `#${sub.id}`),
+        create('span', { class: 'small-label' }, ` · ${count > 1 ? t('inbox.episodes', { count }) : ep ? t('inbox.episode', { ep }) : t('inbox.newEpisode')} · ${i18n.relativeTime(time)}`),
+      ]));
+    });
+    panel.appendChild(list);
+  }
+
+  const subs = Object.values(reminders);
+  panel.appendChild(create('strong', { class: 'inbox-subhead' }, t('reminders.heading', { count: subs.length })));
+  if (!subs.length) panel.appendChild(emptyNote(t('reminders.empty')));
+  else {
+    const list = create('ul', { class: 'reminder-list' });
+    subs.sort((a, b) => entryTitle(a.id, a.title).localeCompare(entryTitle(b.id, b.title))).forEach(sub => list.appendChild(renderReminderRow(sub)));
+    panel.appendChild(list);
+  }
+}
+
+function initReminders() {
+  reminderState.prevVisit = Number(core.storeGet(LAST_VISIT_KEY, 0)) || nowMs();
+  reminderState.inbox = collectMissedEpisodes(reminderState.prevVisit);
+  // the inbox already covers the gap; don't also pop a notification for each of them
+  Object.values(reminders).forEach(sub => { sub.lastChecked = nowMs(); });
+  core.storeSet(REMINDERS_KEY, reminders);
+  const markVisit = () => core.storeSet(LAST_VISIT_KEY, nowMs());
+  window.addEventListener('pagehide', markVisit);
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') markVisit(); else checkReminders(); });
+  window.addEventListener('storage', (e) => {
+    if (e.key !== 'animerat:' + REMINDERS_KEY) return;
+    reminders = core.storeGet(REMINDERS_KEY, {}) || {};
+    renderInbox();
+    scheduleReminders();
+  });
+  if (refs.inboxBtn) {
+    refs.inboxBtn.addEventListener('click', (e) => { e.stopPropagation(); toggleInbox(); });
+    document.addEventListener('click', (e) => {
+      if (!refs.inboxPanel.hidden && !refs.inboxPanel.contains(e.target)) toggleInbox(false);
+    });
+    refs.inboxPanel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') { e.stopPropagation(); toggleInbox(false); refs.inboxBtn.focus(); }
+    });
+    refs.inboxPanel.addEventListener('click', (e) => { if (e.target.closest('a')) toggleInbox(false); });
+  }
+  renderInbox();
+  scheduleReminders();
+}
+
+/* ==========================
+   SEARCH SUGGESTIONS & HANDLING
+   #globalSearch is an ARIA combobox: the local title index answers on every keystroke,
+   the network fills in after the debounce. Focus stays in the input; the active option
+   is announced through aria-activedescendant. Empty input lists recent searches.
+   ========================== */
+const SEARCH_HISTORY_KEY = 'searchHistory';
+const SEARCH_HISTORY_MAX = 8;
+const SUGGEST_LIMIT = 8;
+const TITLE_TYPE_KEYS = ['Default', 'English', 'Japanese', 'Synonym']; // other Jikan title types show as-is
+
+const suggest = { items: [], active: -1 }; // items: { kind: 'anime'|'recent'|'clear', hit?, q? }
+
+function searchHistory() { return core.storeGet(SEARCH_HISTORY_KEY, []) || []; }
+
+function rememberSearch(q) {
+  if (!q) return;
+  const rest = searchHistory().filter(x => x.toLowerCase() !== q.toLowerCase());
+  core.storeSet(SEARCH_HISTORY_KEY, [q].concat(rest).slice(0, SEARCH_HISTORY_MAX));
+}
+
+function cancelSuggest() {
+  state.suggestSeq++;
+  if (state.suggestAbort) { state.suggestAbort.abort(); state.suggestAbort = null; }
+}
+
+function onSearchInput() {
+  const q = refs.searchInput.value.trim();
+  cancelSuggest();
+  if (!q) { showRecentSearches(); return; }
+  if (q.length < 2) { closeSuggestions(); return; }
+  renderSuggestions(core.searchLocal(q, SUGGEST_LIMIT, TITLE_LANGUAGES[titleLang]).map(hit => ({ kind: 'anime', hit })));
+  debouncedSuggest(q);
+}
+
+const debouncedSuggest = debounce(async (q) => {
+  if (q !== refs.searchInput.value.trim()) return; // typed on (or cleared) since
+  cancelSuggest();
+  const seq = state.suggestSeq;
+  const ctrl = state.suggestAbort = new AbortController();
+  try {
+    const res = await core.searchAnime(q, SUGGEST_LIMIT, { signal: ctrl.signal });
+    if (seq !== state.suggestSeq) return; // a newer lookup or a search started meanwhile
+    const prefer = TITLE_LANGUAGES[titleLang];
+    const remote = (res && res.data ? res.data : []).map(anime => ({ anime, match: matchTitle(q, anime, prefer) || { score: 0, title: titleOf(anime), type: prefer } }));
+    renderSuggestions(mergeSuggestions(remote, core.searchLocal(q, SUGGEST_LIMIT, prefer)).map(hit => ({ kind: 'anime', hit })), true);
+  } catch (err) {
+    if (isAbortError(err) || seq !== state.suggestSeq) return;
+    console.error('Suggest error', err); // the local matches stay up
+  }
+}, 240);
+
+/* Network records first (fuller data), best match kept per id; stable sort keeps Jikan's order on ties */
+function mergeSuggestions(remote, local) {
+  const byId = new Map();
+  remote.concat(local).forEach(h => {
+    const prev = byId.get(h.anime.mal_id);
+    if (!prev) byId.set(h.anime.mal_id, h);
+    else if (h.match.score > prev.match.score) prev.match = h.match;
+  });
+  return Array.from(byId.values()).sort((a, b) => b.match.score - a.match.score).slice(0, SUGGEST_LIMIT);
+}
+
+function showRecentSearches() {
+  const recent = searchHistory();
+  if (!recent.length) { closeSuggestions(); return; }
+  renderSuggestions(recent.map(q => ({ kind: 'recent', q })).concat({ kind: 'clear' }));
+}
+
+function suggestionNode(item) {
+  if (item.kind === 'recent') return create('span', { class: 'suggest-recent' }, [create('span', { 'aria-hidden': 'true' }, '↺ '), item.q]);
+  if (item.kind === 'clear') return create('span', { class: 'suggest-clear small-label' }, t('suggest.clear'));
+  const { anime, match } = item.hit;
+  const img = anime.images && anime.images.jpg && (anime.images.jpg.small_image_url || anime.images.jpg.image_url);
+  const year = anime.year || (anime.aired && anime.aired.from ? String(anime.aired.from).slice(0, 4) : '');
+  const shown = titleOf(anime);
+  const text = create('span', { class: 'suggest-text' }, [create('span', { class: 'suggest-title' }, shown)]);
+  if (match.title !== shown) text.appendChild(create('span', { class: 'suggest-alt small-label' }, `${TITLE_TYPE_KEYS.includes(match.type) ? t('titleType.' + match.type) : match.type}: ${match.title}`));
+  const meta = [year, anime.type].filter(Boolean).join(' · ');
+  if (meta) text.appendChild(create('span', { class: 'suggest-meta small-label' }, meta));
+  return create('span', { class: 'suggest-row' }, [
+    img ? create('img', { class: 'suggest-thumb', src: img, alt: '', loading: 'lazy' }) : create('span', { class: 'suggest-thumb' }),
+    text,
+  ]);
+}
+
+/* keepActive: the network refresh shouldn't throw away where the arrow keys were */
+function renderSuggestions(items, keepActive = false) {
+  const prevId = keepActive && suggest.items[suggest.active] && suggest.items[suggest.active].hit ? suggest.items[suggest.active].hit.anime.mal_id : null;
+  suggest.items = items || [];
+  refs.searchSuggest.innerHTML = '';
+  if (!suggest.items.length) { closeSuggestions(); return; }
+  if (suggest.items[0].kind === 'recent') refs.searchSuggest.appendChild(create('li', { role: 'presentation', class: 'suggest-heading small-label' }, t('suggest.recent')));
+  suggest.items.forEach((item, i) => {
+    const li = create('li', { role: 'option', id: `suggest-opt-${i}`, 'aria-selected': 'false' }, suggestionNode(item));
+    li.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+    li.addEventListener('click', () => chooseSuggestion(i));
+    li.addEventListener('mousemove', () => { if (suggest.active !== i) setActiveSuggestion(i); });
+    refs.searchSuggest.appendChild(li);
+  });
+  refs.searchSuggest.classList.add('visible');
+  refs.searchInput.setAttribute('aria-expanded', 'true');
+  setActiveSuggestion(prevId == null ? -1 : suggest.items.findIndex(it => it.hit && it.hit.anime.mal_id === prevId));
+}
+
+function closeSuggestions() {
+  suggest.items = [];
+  suggest.active = -1;
+  refs.searchSuggest.classList.remove('visible');
+  refs.searchSuggest.innerHTML = '';
+  refs.searchInput.setAttribute('aria-expanded', 'false');
+  refs.searchInput.removeAttribute('aria-activedescendant');
+}
+
+function setActiveSuggestion(i) {
+  suggest.active = i;
+  refs.searchSuggest.querySelectorAll('[role="option"]').forEach((li, idx) => li.setAttribute('aria-selected', String(idx === i)));
+  const li = i >= 0 ? el(`#suggest-opt-${i}`) : null;
+  if (li) { refs.searchInput.setAttribute('aria-activedescendant', li.id); li.scrollIntoView({ block: 'nearest' }); }
+  else refs.searchInput.removeAttribute('aria-activedescendant');
+}
+
+function chooseSuggestion(i) {
+  const item = suggest.items[i];
+  if (!item) return;
+  if (item.kind === 'clear') {
+    core.storeSet(SEARCH_HISTORY_KEY, []);
+    closeSuggestions();
+    return;
+  }
+  const q = item.kind === 'recent' ? item.q : item.hit.anime.title;
+  refs.searchInput.value = q;
+  closeSuggestions();
+  navigate('/search', { q });
+}
+
+function onSearchKeydown(e) {
+  const open = refs.searchSuggest.classList.contains('visible');
+  const n = suggest.items.length;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (!open) { onSearchInput(); return; }
+    // cycles through -1 ("no option": back to the typed text) and every option
+    const next = suggest.active + (e.key === 'ArrowDown' ? 1 : -1);
+    setActiveSuggestion(next >= n ? -1 : next < -1 ? n - 1 : next);
+  } else if (e.key === 'Enter') {
+    if (open && suggest.active >= 0) { e.preventDefault(); chooseSuggestion(suggest.active); return; }
+    cancelSuggest();
+    closeSuggestions();
+    // Enter keeps whatever advanced filters are set alongside the query
+    const filters = readFiltersFromPanel();
+    if (Object.keys(filters).length) navigate('/search', filters);
+  } else if (e.key === 'Escape') {
+    if (open) { e.preventDefault(); e.stopPropagation(); cancelSuggest(); closeSuggestions(); }
+    else if (refs.searchInput.value) refs.searchInput.value = '';
+  } else if (e.key === 'Tab') {
+    closeSuggestions();
+  }
+}
+
+/* ==========================
+   ADVANCED SEARCH (filters panel + presets)
+   ========================== */
+const PRESETS_KEY = 'searchPresets';
+
+function readFiltersFromPanel() {
+  const f = {};
+  if (refs.advPanel) {
+    new FormData(refs.advPanel).forEach((v, k) => { if (SEARCH_FILTER_KEYS.includes(k)) f[k] = v; });
+  }
+  f.q = refs.searchInput.value.trim();
+  const inc = [], exc = [];
+  Object.keys(state.searchGenres).forEach(id => {
+    if (state.searchGenres[id] === 'include') inc.push(id);
+    else if (state.searchGenres[id] === 'exclude') exc.push(id);
+  });
+  f.genres = inc.join(',');
+  f.genres_exclude = exc.join(',');
+  return pickSearchFilters(f);
+}
+
+function writeFiltersToPanel(filters) {
+  if (!refs.advPanel) return;
+  Array.from(refs.advPanel.elements).forEach(input => {
+    if (!input.name || !SEARCH_FILTER_KEYS.includes(input.name)) return;
+    input.value = filters[input.name] || '';
+  });
+  state.searchGenres = {};
+  (filters.genres || '').split(',').filter(Boolean).forEach(id => { state.searchGenres[id] = 'include'; });
+  (filters.genres_exclude || '').split(',').filter(Boolean).forEach(id => { state.searchGenres[id] = 'exclude'; });
+  updateGenreChips();
+}
+
+/* Include/exclude genre chips (click cycles: off -> include -> exclude -> off) */
+async function renderAdvGenreChips() {
+  if (!refs.advGenreChips || refs.advGenreChips.childElementCount) return;
+  try {
+    const res = await core.getGenresList();
+    const genres = res && res.data ? res.data : [];
+    genres.forEach(g => {
+      const chip = create('button', { type: 'button', class: 'genre-chip', 'data-genre': String(g.mal_id), 'aria-pressed': 'false' }, g.name);
+      chip.addEventListener('click', () => {
+        const cur = state.searchGenres[g.mal_id];
+        const next = !cur ? 'include' : cur === 'include' ? 'exclude' : null;
+        if (next) state.searchGenres[g.mal_id] = next; else delete state.searchGenres[g.mal_id];
+        updateGenreChips();
+      });
+      refs.advGenreChips.appendChild(chip);
+    });
+    updateGenreChips();
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Genre chips load failed', err);
+    refs.advGenreChips.textContent = t('genres.unavailable');
+  }
+}
+
+function updateGenreChips() {
+  if (!refs.advGenreChips) return;
+  refs.advGenreChips.querySelectorAll('.genre-chip').forEach(chip => {
+    const mode = state.searchGenres[chip.dataset.genre] || '';
+    chip.classList.toggle('include', mode === 'include');
+    chip.classList.toggle('exclude', mode === 'exclude');
+    chip.setAttribute('aria-pressed', mode === 'include' ? 'true' : mode === 'exclude' ? 'mixed' : 'false');
+    chip.title = mode ? t(mode === 'include' ? 'search.genreIncluding' : 'search.genreExcluding', { genre: chip.textContent }) : '';
+  });
+}
+
+function toggleAdvPanel(open) {
+  if (!refs.advPanel) return;
+  const show = open === undefined ? refs.advPanel.hidden : open;
+  refs.advPanel.hidden = !show;
+  refs.advToggle.setAttribute('aria-expanded', String(show));
+  if (show) { renderAdvGenreChips(); renderPresetOptions(); }
+}
+
+/* Presets: { [name]: filters } in persistent storage */
+function getPresets(){ return core.storeGet(PRESETS_KEY, {}) || {}; }
+
+function renderPresetOptions() {
+  if (!refs.advPresetSelect) return;
+  const presets = getPresets();
+  refs.advPresetSelect.innerHTML = '';
+  refs.advPresetSelect.appendChild(create('option', { value: '' }, t(Object.keys(presets).length ? 'preset.load' : 'preset.none')));
+  Object.keys(presets).sort().forEach(name => refs.advPresetSelect.appendChild(create('option', { value: name }, name)));
+}
+
+function savePreset() {
+  const name = refs.advPresetName.value.trim();
+  if (!name) { toast(t('preset.nameFirst')); refs.advPresetName.focus(); return; }
+  const presets = getPresets();
+  presets[name] = readFiltersFromPanel();
+  core.storeSet(PRESETS_KEY, presets);
+  refs.advPresetName.value = '';
+  renderPresetOptions();
+  toast(t('preset.saved', { name }));
+}
+
+function applyPreset(name) {
+  const filters = getPresets()[name];
+  if (!filters) return;
+  toggleAdvPanel(false);
+  navigate('/search', filters);
+}
+
+function deletePreset() {
+  const name = refs.advPresetSelect.value;
+  if (!name) { toast(t('preset.pickToDelete')); return; }
+  const presets = getPresets();
+  delete presets[name];
+  core.storeSet(PRESETS_KEY, presets);
+  renderPresetOptions();
+  toast(t('preset.deleted', { name }));
+}
+
+function initAdvancedSearch() {
+  if (!refs.advPanel) return;
+  refs.advToggle.addEventListener('click', () => toggleAdvPanel());
+  refs.advPanel.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const filters = readFiltersFromPanel();
+    if (!Object.keys(filters).length) { toast(t('search.needInput')); return; }
+    toggleAdvPanel(false);
+    navigate('/search', filters);
+  });
+  refs.advPanel.addEventListener('reset', () => {
+    state.searchGenres = {};
+    // form reset runs after this handler; chips are ours to clear
+    updateGenreChips();
+  });
+  refs.advPresetSelect.addEventListener('change', () => applyPreset(refs.advPresetSelect.value));
+  refs.advPresetSave.addEventListener('click', savePreset);
+  refs.advPresetDelete.addEventListener('click', deletePreset);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !refs.advPanel.hidden) { toggleAdvPanel(false); refs.advToggle.focus(); }
+  });
+}
+
+/* ==========================
+   RECOMMENDATIONS ("For You" row + featured hero)
+   Taste profile: genres/themes/studios/demographics from the /full payloads of listed titles,
+   weighted by list score (or review rating / status). Candidates: Jikan recommendations of
+   the best-liked titles plus anything already in the feeds; listed titles are excluded.
+   ========================== */
+const FOR_YOU_TTL_MS = 1000 * 60 * 60 * 6;
+const FOR_YOU_SEEDS = 12; // titles whose /full payloads feed the profile
+const FOR_YOU_REC_SEEDS = 5; // top-liked titles whose /recommendations are pulled
+const FOR_YOU_SIZE = 12;
+const TASTE_FACETS = { genres: 1, themes: 0.8, demographics: 0.5, studios: 0.7 };
+const STATUS_AFFINITY = { completed: 0.6, watching: 0.5, 'on-hold': 0.2, 'plan-to-watch': 0.15, dropped: -0.6 };
+
+/* -1..1: list score wins, then my review rating, then what the status implies */
+function entryAffinity(entry, myRatings) {
+  const parts = [];
+  if (entry.score) parts.push((entry.score - 5.5) / 4.5);
+  if (myRatings[entry.id]) parts.push((myRatings[entry.id] - 3) / 2);
+  if (!parts.length) return STATUS_AFFINITY[entry.status] || 0;
+  return parts.reduce((a, b) => a + b, 0) / parts.length;
+}
+
+function myReviewRatings() {
+  const me = localUserId();
+  const out = {};
+  Object.entries(localReviewBackend.all()).forEach(([animeId, reviews]) => {
+    const mine = (reviews || []).find(r => r.userId === me && r.rating);
+    if (mine) out[animeId] = mine.rating;
+  });
+  return out;
+}
+
+function animeFeatures(anime) {
+  const out = [];
+  Object.keys(TASTE_FACETS).forEach(facet => {
+    // AniList studios have no MAL id; the name is stable enough as a key
+    (anime[facet] || []).forEach(f => out.push({ key: `${facet}:${f.mal_id != null ? f.mal_id : f.name}`, name: f.name, weight: TASTE_FACETS[facet] }));
+  });
+  return out;
+}
+
+/* Changes whenever the inputs to the profile change; used as the cache key */
+function tasteSignature(seeds) {
+  const raw = seeds.map(s => `${s.entry.id}:${s.weight.toFixed(2)}`).sort().join('|');
+  let h = 0;
+  for (let i = 0; i < raw.length; i++) h = (h * 31 + raw.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+async function buildTasteProfile(seeds, opts) {
+  const profile = {};
+  const seedFeatures = {};
+  for (const seed of seeds) {
+    let anime;
+    try {
+      const res = await core.getAnimeDetails(seed.entry.id, opts);
+      anime = res && res.data;
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      continue; // one missing payload shouldn't sink the profile
+    }
+    if (!anime) continue;
+    seedFeatures[seed.entry.id] = animeFeatures(anime);
+    seedFeatures[seed.entry.id].forEach(f => {
+      const p = profile[f.key] = profile[f.key] || { name: f.name, weight: 0 };
+      p.weight += f.weight * seed.weight;
+    });
+  }
+  return { profile, seedFeatures };
+}
+
+function profileAffinity(profile, anime) {
+  const feats = animeFeatures(anime);
+  if (!feats.length) return 0;
+  return feats.reduce((sum, f) => sum + (profile[f.key] ? profile[f.key].weight * f.weight : 0), 0) / Math.sqrt(feats.length);
+}
+
+/* The seed that shares the most liked features with a candidate */
+function closestSeed(anime, seeds, seedFeatures) {
+  const keys = new Set(animeFeatures(anime).map(f => f.key));
+  let best = null, bestScore = 0;
+  seeds.forEach(seed => {
+    if (seed.weight <= 0) return;
+    const overlap = (seedFeatures[seed.entry.id] || []).reduce((n, f) => n + (keys.has(f.key) ? f.weight : 0), 0) * seed.weight;
+    if (overlap > bestScore) { best = seed; bestScore = overlap; }
+  });
+  return best;
+}
+
+async function computeForYou(opts = {}) {
+  const ratings = myReviewRatings();
+  const seeds = core.listAll('all')
+    .map(entry => ({ entry, weight: entryAffinity(entry, ratings) }))
+    .filter(s => s.weight !== 0)
+    .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    .slice(0, FOR_YOU_SEEDS);
+  if (!seeds.some(s => s.weight > 0)) return [];
+
+  const cacheKey = 'forYou:' + tasteSignature(seeds);
+  const cached = core.cacheGet(cacheKey, FOR_YOU_TTL_MS);
+  // titles added since the picks were cached must not be recommended back
+  if (cached) return cached.filter(p => p.anime && !core.listGet(p.anime.mal_id));
+
+  const o = Object.assign({ priority: PRIORITY.low }, opts);
+  const { profile, seedFeatures } = await buildTasteProfile(seeds, o);
+  const candidates = {};
+  const candidate = (anime) => (candidates[anime.mal_id] = candidates[anime.mal_id] || { anime, recScore: 0, because: null, becauseScore: 0 });
+
+  const liked = seeds.filter(s => s.weight > 0).slice(0, FOR_YOU_REC_SEEDS);
+  for (const seed of liked) {
+    let recs = [];
+    try {
+      const res = await core.getAnimePart(seed.entry.id, 'recommendations', o);
+      recs = res && res.data ? res.data : [];
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+    }
+    recs.slice(0, 20).forEach(r => {
+      if (!r.entry || !r.entry.mal_id) return;
+      const c = candidate(r.entry);
+      const contrib = seed.weight * Math.log1p(r.votes || 1);
+      c.recScore += contrib;
+      if (contrib > c.becauseScore) { c.because = seed; c.becauseScore = contrib; }
+    });
+  }
+  // feed items carry genres/studios, so they can be ranked on the profile alone
+  Object.values(state.feeds).forEach(items => (items || []).forEach(a => { if (a && a.mal_id) candidate(a); }));
+
+  const maxRec = Math.max(1, ...Object.values(candidates).map(c => c.recScore));
+  const scored = Object.values(candidates)
+    .filter(c => !core.listGet(c.anime.mal_id)) // listed (incl. dropped) titles never come back
+    .map(c => {
+      // rec-only entries lack facets; use a cached /full payload when we have one
+      const full = core.detailsCache[c.anime.mal_id] && core.detailsCache[c.anime.mal_id].data;
+      const affinity = profileAffinity(profile, full || c.anime);
+      const because = c.because || closestSeed(full || c.anime, seeds, seedFeatures);
+      return { anime: c.anime, score: c.recScore / maxRec + affinity / 10, because: because ? because.entry.title : null, becauseId: because ? because.entry.id : null };
+    })
+    .filter(x => x.score > 0 && x.because)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, FOR_YOU_SIZE)
+    .map(x => ({
+      anime: { mal_id: x.anime.mal_id, title: x.anime.title, titles: x.anime.titles, title_english: x.anime.title_english, title_japanese: x.anime.title_japanese, images: x.anime.images, score: x.anime.score, episodes: x.anime.episodes, synopsis: x.anime.synopsis, genres: x.anime.genres, status: x.anime.status },
+      because: x.because,
+      becauseId: x.becauseId,
+      score: x.score,
+    }));
+  core.cacheSet(cacheKey, scored);
+  return scored;
+}
+
+async function renderForYou(opts = {}) {
+  if (!refs.forYouRow) return;
+  try {
+    const picks = await computeForYou(opts);
+    state.forYou = picks;
+    refs.forYouWrap.hidden = !picks.length;
+    if (!picks.length) return;
+    refs.forYouRow.innerHTML = '';
+    const frag = document.createDocumentFragment();
+    picks.forEach(p => {
+      const node = renderCard(p.anime);
+      const body = node.querySelector('.card-body');
+      if (body) body.appendChild(create('p', { class: 'card-reason' }, t('hero.because', { title: entryTitle(p.becauseId, p.because) })));
+      frag.appendChild(node);
+    });
+    refs.forYouRow.appendChild(frag);
+    renderFeaturedPick(picks[0], opts);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.warn('For You failed', err);
+    refs.forYouWrap.hidden = true;
+  }
+}
+
+/* Hero gets the top pick; rec entries are thin, so fetch its details for the synopsis */
+async function renderFeaturedPick(pick, opts) {
+  let anime = pick.anime;
+  if (!anime.synopsis) {
+    try {
+      const res = await core.getAnimeDetails(anime.mal_id, opts);
+      if (res && res.data) anime = res.data;
+    } catch (err) {
+      if (isAbortError(err)) return;
+    }
+  }
+  if (!(router.base || '').startsWith('/home') || core.listGet(anime.mal_id)) return;
+  renderHero(anime, t('hero.because', { title: entryTitle(pick.becauseId, pick.because) }));
+}
+
+/* ==========================
+   SEARCH / FEED LOADERS
+   ========================== */
+/* filters: { q, type, status, ..., page } as found in #/search?... */
+async function performSearch(filters = {}, opts = {}) {
+  const clean = pickSearchFilters(filters);
+  if (Object.keys(clean).length === 0) return;
+  cancelSuggest();
+  const seq = ++state.searchSeq;
+  state.filters = clean;
+  state.query = clean.q || '';
+  rememberSearch(state.query);
+  state.page = filters.page || 1;
+  updateLoadMore();
+  if (refs.searchInput.value.trim() !== state.query) refs.searchInput.value = state.query;
+  writeFiltersToPanel(clean);
+  refs.feed.innerHTML = '';
+  refs.feed.appendChild(create('div', { class: 'empty-note' }, state.query ? t('search.searching', { q: state.query }) : t('search.searchingAll')));
+  try {
+    const query = Object.assign({}, clean);
+    const order = SORTS[state.sort];
+    if (!query.order_by && order) { query.order_by = order.order_by; query.sort = order.sort; }
+    await core.loadFeed('search', { filters: query, page: state.page }, Object.assign({}, opts, { target: { view: 'search', seq, filters: clean } }));
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Search failed', err);
+    toast(t('search.failed'));
+  }
+}
+
+async function loadHome(opts = {}) {
+  state.query = '';
+  state.filters = null;
+  state.homePage = 1;
+  state.homeDone = false;
+  updateLoadMore();
+  try {
+    await core.loadFeed('top', { page: 1 }, Object.assign({}, opts, { target: { view: 'home' } }));
+    updateLoadMore();
+    renderForYou(opts); // swaps in a personal hero once ready
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Home load failed', err);
+    renderHero(null);
+    refs.feed.innerHTML = `<div class="empty-note">${t('feed.homeFailed')}</div>`;
+  }
+}
+
+/* Section feeds: container + the core feed (and its params) to load for the route params */
+const SECTION_FEEDS = {
+  top: { container: () => refs.topFeed, feed: p => ({ feed: 'top', params: { page: p.page } }), paged: true },
+  airing: { container: () => refs.airingFeed, feed: airingFeed, render: renderAiring },
+  upcoming: { container: () => refs.upcomingFeed, feed: () => ({ feed: 'upcoming' }) },
+  movies: { container: () => refs.moviesFeed, feed: p => ({ feed: 'movies', params: { page: p.page } }), paged: true },
+  genres: { container: () => refs.genresFeed, feed: p => ({ feed: 'genre', params: { genre: p.genre, page: p.page, order: SORTS[state.sort] } }), paged: true, serverSort: true },
+  producers: { container: () => refs.producersFeed, feed: p => ({ feed: 'producer', params: { producer: p.producer, page: p.page, order: SORTS[state.sort] } }), paged: true, serverSort: true },
+};
+
+async function loadSection(section, params, opts = {}) {
+  const cfg = SECTION_FEEDS[section];
+  if (!cfg) return;
+  const container = cfg.container();
+  const seq = ++router.loadSeq;
+  if (section === 'genres') {
+    renderGenreBrowser(params);
+    if (!params.genre) { container.innerHTML = `<div class="empty-note">${t('genres.pick')}</div>`; return; }
+  }
+  if (section === 'producers') {
+    renderProducerBrowser(params);
+    if (!params.producer) { renderProducerIndex(container, params); return; }
+  }
+  container.innerHTML = `<div class="empty-note">${t('app.loading')}</div>`;
+  try {
+    const { feed, params: feedParams } = cfg.feed(params);
+    await core.loadFeed(feed, feedParams, Object.assign({}, opts, { target: { view: section, seq, params } }));
+  } catch (err) {
+    if (seq !== router.loadSeq || isAbortError(err)) return;
+    console.error('Section load failed', section, err);
+    container.innerHTML = `<div class="empty-note">${t('app.tryAgain')}</div>`;
+  }
+}
+
+/* feed:loaded subscriber: opts.target says which view asked, so stale loads can be dropped */
+function onFeedLoaded(e) {
+  if (e.feed === 'schedule') state.schedule = e.items;
+  const target = e.target;
+  if (!target) return; // loaded by someone else (extension, console)
+  if (target.view === 'home') {
+    state.feeds.home = e.items;
+    state.homeDone = !e.hasNext;
+    renderHero(e.items[0]);
+    renderFeedInto(refs.feed, sortItems(e.items, state.sort));
+  } else if (target.view === 'home-more') {
+    const seen = new Set(state.feeds.home.map(a => a.mal_id));
+    const fresh = dedupeById(e.items, seen);
+    state.homePage = e.page;
+    state.homeDone = !e.hasNext;
+    state.feeds.home = state.feeds.home.concat(fresh);
+    if (SORTS[state.sort]) {
+      renderFeedInto(refs.feed, sortItems(state.feeds.home, state.sort));
+    } else {
+      const frag = document.createDocumentFragment();
+      fresh.forEach(a => frag.appendChild(renderCard(a)));
+      refs.feed.appendChild(frag);
+    }
+  } else if (target.view === 'search') {
+    if (target.seq !== state.searchSeq) return; // a newer search took over
+    state.feeds.home = e.items;
+    state.lastSearchResults = e.items;
+    renderFeedInto(refs.feed, e.items);
+    renderPager(refs.feed, 'search', Object.assign({}, target.filters, { page: e.page }), e.hasNext);
+  } else if (SECTION_FEEDS[target.view]) {
+    if (target.seq !== router.loadSeq) return; // user moved on
+    const cfg = SECTION_FEEDS[target.view];
+    const container = cfg.container();
+    state.feeds[target.view] = e.items;
+    if (cfg.render) cfg.render(container, e.items, target.params);
+    else renderFeedInto(container, cfg.serverSort ? e.items : sortItems(e.items, state.sort));
+    if (cfg.paged) renderPager(container, target.view, target.params, e.hasNext);
+  }
+}
+
+/* ==========================
+   BROWSE: genres (#/genres?genre=1,4) and studios/producers (#/producers?producer=ID)
+   Chips are plain links; each one's href toggles it in the current selection.
+   Jikan ANDs several genres, so more chips = a narrower feed.
+   ========================== */
+const GENRE_GROUPS = ['genres', 'themes', 'demographics', 'explicit_genres']; // labels: genres.group.<filter>
+
+function selectedIds(csv) {
+  return String(csv || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function renderGenreBrowser(params) {
+  const box = refs.genreBrowser;
+  if (!box) return;
+  const selected = selectedIds(params.genre);
+  if (!box.childElementCount) box.appendChild(create('div', { class: 'empty-note' }, t('genres.loading')));
+  try {
+    const groups = await Promise.all(GENRE_GROUPS.map(filter => core.getGenresList({ signal: router.navAbort && router.navAbort.signal }, filter)));
+    if (selectedIds(parseRoute().params.genre).join() !== selected.join()) return; // selection changed meanwhile
+    box.innerHTML = '';
+    const names = {};
+    GENRE_GROUPS.forEach((filter, i) => {
+      const genres = (groups[i] && groups[i].data) || [];
+      if (!genres.length) return;
+      const wrap = create('div', { class: 'genre-list' });
+      genres.forEach(g => {
+        const id = String(g.mal_id);
+        names[id] = g.name;
+        const on = selected.includes(id);
+        const next = on ? selected.filter(x => x !== id) : selected.concat(id);
+        const a = create('a', { class: 'chip' + (on ? ' active' : ''), href: routeHref('/genres', { genre: next.join(',') }), 'aria-pressed': String(on) },
+          g.count != null ? `${g.name} (${g.count})` : g.name);
+        wrap.appendChild(a);
+      });
+      const group = filter === 'explicit_genres'
+        ? create('details', { class: 'genre-group' }, [create('summary', { class: 'small-label' }, t('genres.group.' + filter)), wrap])
+        : create('div', { class: 'genre-group' }, [create('h3', { class: 'small-label' }, t('genres.group.' + filter)), wrap]);
+      if (filter === 'explicit_genres' && genres.some(g => selected.includes(String(g.mal_id)))) group.open = true;
+      box.appendChild(group);
+    });
+    if (selected.length) {
+      box.appendChild(create('p', { class: 'genre-selection small-label' }, [
+        t('genres.showing', { names: selected.map(id => names[id] || '#' + id).join(' + ') }),
+        create('a', { href: routeHref('/genres') }, t('genres.clear')),
+      ]));
+    }
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.error('Genres load failed', err);
+    box.innerHTML = `<div class="empty-note">${t('genres.failed')}</div>`;
+  }
+}
+
+/* Sidebar "Filter by genre": the main genres by title count */
+async function renderSidebarGenres() {
+  if (!refs.genreList) return;
+  try {
+    const res = await core.getGenresList({ priority: PRIORITY.low }, 'genres');
+    const genres = (res && res.data ? res.data : []).slice().sort((a, b) => (b.count || 0) - (a.count || 0));
+    refs.genreList.innerHTML = '';
+    genres.forEach(g => refs.genreList.appendChild(create('a', { href: routeHref('/genres', { genre: g.mal_id }), 'data-genre': String(g.mal_id) }, g.name)));
+    markSidebarGenres();
+  } catch (err) {
+    if (!isAbortError(err)) console.warn('Sidebar genres failed', err);
+  }
+}
+
+function markSidebarGenres() {
+  if (!refs.genreList) return;
+  refs.genreList.querySelectorAll('a[data-genre]').forEach(a => a.classList.toggle('active', state.genreFilter.includes(a.dataset.genre)));
+}
+
+/* #/producers header: search box, or the chosen studio's name + blurb */
+async function renderProducerBrowser(params) {
+  const box = refs.producerBrowser;
+  if (!box) return;
+  box.innerHTML = '';
+  if (!params.producer) {
+    const form = create('form', { class: 'producer-search', role: 'search' });
+    const input = create('input', { type: 'search', class: 'select', name: 'q', placeholder: t('producers.search'), 'aria-label': t('producers.search') });
+    input.value = params.q || '';
+    form.appendChild(input);
+    form.appendChild(create('button', { type: 'submit', class: 'btn btn-sm' }, t('producers.searchBtn')));
+    form.addEventListener('submit', (e) => { e.preventDefault(); navigate('/producers', { q: input.value.trim() }); });
+    box.appendChild(form);
+    return;
+  }
+  const head = create('div', { class: 'producer-head' }, [create('a', { class: 'small-label', href: routeHref('/producers') }, t('producers.all'))]);
+  box.appendChild(head);
+  try {
+    const res = await core.getProducer(params.producer, { signal: router.navAbort && router.navAbort.signal });
+    const p = res && res.data;
+    if (!p || !head.isConnected) return;
+    head.appendChild(create('h3', {}, p.name));
+    head.appendChild(create('p', { class: 'small-label' }, [t('producers.titles', { count: p.count }), p.established ? ' · ' + t('producers.established', { year: new Date(p.established).getFullYear() }) : ''].join('')));
+    if (p.about) head.appendChild(create('p', { class: 'producer-about' }, toShort(p.about, 280)));
+  } catch (err) {
+    if (!isAbortError(err)) console.warn('Producer lookup failed', err);
+  }
+}
+
+async function renderProducerIndex(container, params) {
+  const seq = router.loadSeq;
+  container.innerHTML = `<div class="empty-note">${t('producers.loading')}</div>`;
+  try {
+    const res = await core.getProducers({ q: params.q }, params.page || 1, 25, { signal: router.navAbort && router.navAbort.signal });
+    if (seq !== router.loadSeq) return;
+    const items = res && res.data ? res.data : [];
+    container.innerHTML = '';
+    if (!items.length) { container.appendChild(create('div', { class: 'empty-note' }, t('producers.none'))); return; }
+    const wrap = create('div', { class: 'genre-list producer-list' });
+    items.forEach(p => wrap.appendChild(create('a', { class: 'chip', href: routeHref('/producers', { producer: p.mal_id }) }, `${p.name} (${p.count})`)));
+    container.appendChild(wrap);
+    renderPager(container, 'producers', { q: params.q, page: params.page || 1 }, !!(res.pagination && res.pagination.has_next_page));
+  } catch (err) {
+    if (seq !== router.loadSeq || isAbortError(err)) return;
+    console.error('Producers load failed', err);
+    container.innerHTML = `<div class="empty-note">${t('producers.failed')}</div>`;
+  }
+}
+
+function renderPager(container, section, params, hasNext) {
+  const page = params.page || 1;
+  const pager = create('nav', { class: 'pager', 'aria-label': t('pager.label') });
+  const prev = create('a', { class: 'btn btn-outline btn-sm', href: routeHref('/' + section, Object.assign({}, params, { page: page - 1 })) }, t('pager.prev'));
+  const next = create('a', { class: 'btn btn-outline btn-sm', href: routeHref('/' + section, Object.assign({}, params, { page: page + 1 })) }, t('pager.next'));
+  if (page <= 1) prev.setAttribute('aria-disabled', 'true');
+  if (!hasNext) next.setAttribute('aria-disabled', 'true');
+  pager.appendChild(prev);
+  pager.appendChild(create('span', { class: 'small-label' }, t('pager.page', { page })));
+  pager.appendChild(next);
+  container.appendChild(pager);
+}
+
+/* ==========================
+   SEASONS & SCHEDULE (Airing section + "airing today" strip)
+   #/airing?year=2019&season=fall            season chart grouped by type
+   #/airing?view=schedule                    weekly broadcast calendar, in local time
+   ========================== */
+const CHART_GROUPS = ['TV', 'ONA', 'Movie', 'OVA'];
+const OTHER_GROUP = 'Other';
+const FIRST_SEASON_YEAR = 1970;
+const SEASON_YEARS_AHEAD = 1; // last year the picker offers and the route accepts, relative to now
+
+function seasonFromParams(params) {
+  const cur = currentSeason();
+  const year = parseInt(params.year, 10);
+  return {
+    year: year >= FIRST_SEASON_YEAR && year <= cur.year + SEASON_YEARS_AHEAD ? year : cur.year,
+    season: SEASON_NAMES.includes(params.season) ? params.season : cur.season,
+  };
+}
+
+function formatLocalTime(date) {
+  return i18n.formatDate(date, { hour: '2-digit', minute: '2-digit' });
+}
+
+function airingFeed(params) {
+  syncSeasonPicker(params);
+  if (params.view === 'schedule') return { feed: 'schedule' };
+  return { feed: 'season', params: seasonFromParams(params) };
+}
+
+function renderAiring(container, items, params) {
+  if (params.view === 'schedule') renderSchedule(container, items);
+  else renderSeasonChart(container, items);
+}
+
+/* Chart: one block per type, each block sorted with the current sort */
+function renderSeasonChart(container, items) {
+  container.innerHTML = '';
+  if (!items.length) { renderFeedInto(container, []); return; }
+  const groups = {};
+  items.forEach(a => {
+    const g = CHART_GROUPS.includes(a.type) ? a.type : OTHER_GROUP;
+    (groups[g] = groups[g] || []).push(a);
+  });
+  CHART_GROUPS.concat(OTHER_GROUP).forEach(g => {
+    if (!groups[g]) return;
+    container.appendChild(create('h3', { class: 'chart-group' }, `${g === OTHER_GROUP ? t('airing.otherTypes') : g} (${groups[g].length})`));
+    const frag = document.createDocumentFragment();
+    sortItems(groups[g], state.sort).forEach(a => frag.appendChild(renderCard(a)));
+    container.appendChild(frag);
+  });
+}
+
+/* Weekly calendar: broadcast slots converted from JST to the viewer's timezone */
+function renderSchedule(container, items) {
+  container.innerHTML = '';
+  const days = WEEKDAYS.map(() => []);
+  const unknown = [];
+  items.forEach(a => {
+    const next = nextBroadcast(a.broadcast);
+    if (next) days[next.getDay()].push({ a, next });
+    else unknown.push(a);
+  });
+  const tz = Intl.DateTimeFormat().resolvedOptions().timeZone || t('schedule.localTime');
+  const wrap = create('div', { class: 'schedule' });
+  wrap.appendChild(create('p', { class: 'small-label schedule-note' }, t('schedule.timezone', { tz })));
+  const grid = create('div', { class: 'schedule-grid' });
+  const now = new Date();
+  const today = now.getDay();
+  // start the week at today
+  for (let i = 0; i < 7; i++) {
+    const d = (today + i) % 7;
+    const col = create('div', { class: 'schedule-day' + (i === 0 ? ' today' : '') });
+    const dayName = i18n.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + i), { weekday: 'long' });
+    col.appendChild(create('h4', {}, i === 0 ? t('schedule.today', { day: dayName }) : dayName));
+    days[d].sort((x, y) => (x.next.getHours() * 60 + x.next.getMinutes()) - (y.next.getHours() * 60 + y.next.getMinutes()));
+    days[d].forEach(({ a, next }) => col.appendChild(renderScheduleSlot(a, next)));
+    if (!days[d].length) col.appendChild(create('p', { class: 'small-label' }, t('schedule.empty')));
+    grid.appendChild(col);
+  }
+  wrap.appendChild(grid);
+  if (unknown.length) {
+    wrap.appendChild(create('p', { class: 'small-label schedule-note' }, t('schedule.unknown', { count: unknown.length })));
+  }
+  container.appendChild(wrap);
+}
+
+function renderScheduleSlot(anime, next, aired = false) {
+  const slot = create('a', { class: 'schedule-slot' + (core.listGet(anime.mal_id) ? ' in-list' : '') + (aired ? ' aired' : ''), href: routeHref(`/anime/${anime.mal_id}`) }, [
+    create('time', { datetime: next.toISOString() }, formatLocalTime(next)),
+    create('span', {}, titleOf(anime)),
+  ]);
+  if (aired) slot.title = t('airing.aired');
+  return slot;
+}
+
+/* Season picker: year select from FIRST_SEASON_YEAR to SEASON_YEARS_AHEAD past now, season select, prev/next */
+function syncSeasonPicker(params) {
+  if (!refs.seasonYear) return;
+  const { year, season } = seasonFromParams(params);
+  const cur = currentSeason();
+  if (!refs.seasonYear.options.length) {
+    for (let y = cur.year + SEASON_YEARS_AHEAD; y >= FIRST_SEASON_YEAR; y--) refs.seasonYear.appendChild(create('option', { value: String(y) }, String(y)));
+  }
+  refs.seasonYear.value = String(year);
+  refs.seasonSelect.value = season;
+  // prev/next stop where the year select ends
+  refs.seasonPrev.disabled = year === FIRST_SEASON_YEAR && season === SEASON_NAMES[0];
+  refs.seasonNext.disabled = year === cur.year + SEASON_YEARS_AHEAD && season === SEASON_NAMES[SEASON_NAMES.length - 1];
+  const view = params.view === 'schedule' ? 'schedule' : 'chart';
+  elAll('[data-airing-view]').forEach(b => {
+    const on = b.dataset.airingView === view;
+    b.classList.toggle('active', on);
+    b.setAttribute('aria-selected', String(on));
+  });
+  // the schedule is always "this week"
+  refs.seasonPicker.hidden = view === 'schedule';
+}
+
+function goToSeason(year, season) {
+  navigate('/airing', { year, season });
+}
+
+function initSeasonControls() {
+  if (!refs.seasonYear) return;
+  const current = () => ({ year: Number(refs.seasonYear.value), season: refs.seasonSelect.value });
+  refs.seasonYear.addEventListener('change', () => goToSeason(current().year, current().season));
+  refs.seasonSelect.addEventListener('change', () => goToSeason(current().year, current().season));
+  refs.seasonPrev.addEventListener('click', () => { const s = shiftSeason(current().year, current().season, -1); goToSeason(s.year, s.season); });
+  refs.seasonNext.addEventListener('click', () => { const s = shiftSeason(current().year, current().season, 1); goToSeason(s.year, s.season); });
+  elAll('[data-airing-view]').forEach(b => b.addEventListener('click', () => {
+    if (b.dataset.airingView === 'schedule') navigate('/airing', { view: 'schedule' });
+    else navigate('/airing', seasonFromParams({ year: refs.seasonYear.value, season: refs.seasonSelect.value }));
+  }));
+}
+
+/* Home hero strip: what airs today in the viewer's timezone, earlier slots marked as aired.
+   Uses the weekly schedule when the airing view already walked it, else just its first page */
+async function renderAiringToday() {
+  if (!refs.airingToday) return;
+  try {
+    const items = state.schedule || ((await core.getSchedules(1, { priority: PRIORITY.low })) || {}).data || [];
+    const now = new Date();
+    const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const dayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const slots = items
+      .map(a => ({ a, next: nextBroadcast(a.broadcast, dayStart.getTime()) }))
+      .filter(x => x.next && x.next < dayEnd)
+      .sort((x, y) => x.next - y.next);
+    refs.airingToday.innerHTML = '';
+    if (!slots.length) { refs.airingToday.hidden = true; return; }
+    // the user's shows first
+    slots.sort((x, y) => (core.listGet(y.a.mal_id) ? 1 : 0) - (core.listGet(x.a.mal_id) ? 1 : 0));
+    refs.airingToday.appendChild(create('span', { class: 'small-label' }, t('airing.today')));
+    const strip = create('div', { class: 'airing-strip' });
+    slots.slice(0, 14).forEach(({ a, next }) => strip.appendChild(renderScheduleSlot(a, next, next <= now)));
+    refs.airingToday.appendChild(strip);
+    refs.airingToday.hidden = false;
+  } catch (err) {
+    if (!isAbortError(err)) console.warn('Airing today failed', err);
+    refs.airingToday.hidden = true;
+  }
+}
+
+/* ==========================
+   FEED CONTROLS: sort, grid/list view, infinite scroll
+   One .section-controls bar follows the visible section; choices persist per section.
+   ========================== */
+const VIEW_PREFS_KEY = 'viewPrefs';
+// order_by/sort for Jikan endpoints that accept them; value/dir for the client-side fallback
+const SORTS = {
+  popularity: { order_by: 'popularity', sort: 'asc', value: a => a.popularity || Infinity, dir: 1 },
+  score: { order_by: 'score', sort: 'desc', value: a => a.score || 0, dir: -1 },
+  episodes: { order_by: 'episodes', sort: 'desc', value: a => a.episodes || 0, dir: -1 },
+  airing: { order_by: 'start_date', sort: 'desc', value: a => Date.parse(a.aired && a.aired.from) || 0, dir: -1 },
+};
+
+let viewPrefs = core.storeGet(VIEW_PREFS_KEY, {}) || {};
+
+function sectionPrefs(section) { return Object.assign({ view: 'grid', sort: '' }, viewPrefs[section]); }
+function saveSectionPrefs(section, patch) {
+  viewPrefs[section] = Object.assign(sectionPrefs(section), patch);
+  core.storeSet(VIEW_PREFS_KEY, viewPrefs);
+}
+
+/* Stable sort (ties keep feed order); '' or unknown key returns a copy as-is */
+function sortItems(items, sortKey) {
+  const s = SORTS[sortKey];
+  if (!s) return (items || []).slice();
+  return (items || [])
+    .map((a, i) => ({ a, i, v: s.value(a) }))
+    .sort((x, y) => (x.v === y.v ? x.i - y.i : (x.v < y.v ? -1 : 1) * s.dir))
+    .map(x => x.a);
+}
+
+function sectionContainer(section) {
+  if (section === 'home') return refs.feed;
+  if (section === 'mylist') return refs.myListFeed;
+  const cfg = SECTION_FEEDS[section];
+  return cfg ? cfg.container() : null;
+}
+
+/* Sections whose data comes from /anime (order_by works server-side) */
+function isServerSorted(section) {
+  if (section === 'home') return !!state.filters;
+  const cfg = SECTION_FEEDS[section];
+  return !!(cfg && cfg.serverSort);
+}
+
+function applyView(section) {
+  const container = sectionContainer(section);
+  const view = state.view === 'list' ? 'list' : 'grid';
+  if (container) { container.classList.toggle('grid', view === 'grid'); container.classList.toggle('list', view === 'list'); }
+  refs.gridViewBtn.classList.toggle('active', view === 'grid');
+  refs.listViewBtn.classList.toggle('active', view === 'list');
+  refs.gridViewBtn.setAttribute('aria-pressed', String(view === 'grid'));
+  refs.listViewBtn.setAttribute('aria-pressed', String(view === 'list'));
+}
+
+/* Move the controls bar into the visible section and load its saved prefs */
+function applySectionPrefs(section) {
+  const prefs = sectionPrefs(section);
+  state.view = prefs.view;
+  state.sort = SORTS[prefs.sort] ? prefs.sort : '';
+  refs.sortSelect.value = state.sort;
+  const container = sectionContainer(section);
+  if (container && refs.sectionControls && container.previousElementSibling !== refs.sectionControls) {
+    container.parentNode.insertBefore(refs.sectionControls, container);
+  }
+  // MyList has its own ordering (recently updated first)
+  refs.sortSelect.parentElement.hidden = section === 'mylist';
+  applyView(section);
+}
+
+/* Re-order rendered cards in place (keeps listeners, pager and scroll position) */
+function reorderFeedDom(container, items) {
+  const nodes = new Map();
+  container.querySelectorAll('.anime-card').forEach(c => nodes.set(c.dataset.id, c));
+  const anchor = container.querySelector('.pager');
+  sortItems(items, state.sort).forEach(a => {
+    const n = nodes.get(String(a.mal_id));
+    if (n) container.insertBefore(n, anchor);
+  });
+}
+
+function onSortChange() {
+  const section = state.feedType;
+  state.sort = refs.sortSelect.value;
+  saveSectionPrefs(section, { sort: state.sort });
+  if (isServerSorted(section)) {
+    // ask Jikan for the new order (page 1)
+    if (section === 'home') performSearch(state.filters, { signal: router.navAbort && router.navAbort.signal });
+    else loadSection(section, Object.assign(parseRoute().params, { page: 1 }), { signal: router.navAbort && router.navAbort.signal });
+    return;
+  }
+  const container = sectionContainer(section);
+  const cfg = SECTION_FEEDS[section];
+  if (cfg && cfg.render) cfg.render(container, state.feeds[section] || [], parseRoute().params);
+  else if (container) reorderFeedDom(container, state.feeds[section] || []);
+}
+
+function setView(view) {
+  state.view = view;
+  saveSectionPrefs(state.feedType, { view });
+  applyView(state.feedType);
+}
+
+/* Home infinite scroll: next /top/anime page, deduped by mal_id */
+async function loadMoreHome() {
+  if (state.feedType !== 'home' || state.filters || state.runningFetch || state.homeDone) return;
+  state.runningFetch = true;
+  updateLoadMore();
+  try {
+    await core.loadFeed('top', { page: state.homePage + 1 }, { signal: router.navAbort && router.navAbort.signal, target: { view: 'home-more' } });
+  } catch (err) {
+    if (!isAbortError(err)) { console.error('Load more failed', err); toast(t('feed.loadMoreFailed')); }
+  } finally {
+    state.runningFetch = false;
+    updateLoadMore();
+  }
+}
+
+function updateLoadMore() {
+  const wrap = refs.loadMoreBtn.parentElement;
+  // search results page through the URL pager instead
+  wrap.hidden = !!state.filters || state.homeDone;
+  refs.loadMoreBtn.disabled = state.runningFetch;
+  refs.loadMoreBtn.textContent = state.runningFetch ? t('app.loading') : t('controls.loadMore');
+}
+
+function initFeedControls() {
+  refs.sortSelect.addEventListener('change', onSortChange);
+  refs.gridViewBtn.addEventListener('click', () => setView('grid'));
+  refs.listViewBtn.addEventListener('click', () => setView('list'));
+  refs.loadMoreBtn.addEventListener('click', loadMoreHome);
+  // the button stays as a fallback; the observer just clicks it for you
+  if ('IntersectionObserver' in window) {
+    const io = new IntersectionObserver((entries) => {
+      if (entries.some(e => e.isIntersecting)) loadMoreHome();
+    }, { rootMargin: '600px 0px' });
+    io.observe(refs.loadMoreBtn.parentElement);
+  }
+}
+
+/* ==========================
+   ROUTER (hash-based)
+   #/home, #/top?page=2, #/anime/5114, #/search?q=frieren ...
+   ========================== */
+const SECTIONS = ['home', 'top', 'airing', 'upcoming', 'movies', 'genres', 'producers', 'mylist', 'stats', 'snapshot'];
+
+const router = {
+  base: null, // last non-modal route key, e.g. "/top?page=2"
+  inApp: false, // true once we've navigated at least once (safe to history.back())
+  loadSeq: 0,
+  navAbort: null, // AbortController for the current section's requests
+};
+
+function routeHref(path, params = {}) {
+  const qs = new URLSearchParams();
+  Object.keys(params).forEach(k => {
+    const v = params[k];
+    if (v === undefined || v === null || v === '' || (k === 'page' && Number(v) <= 1)) return;
+    qs.set(k, v);
+  });
+  const q = qs.toString();
+  return '#' + path + (q ? '?' + q : '');
+}
+
+function navigate(path, params = {}) {
+  router.inApp = true;
+  location.hash = routeHref(path, params).slice(1);
+}
+
+function animeShareUrl(id) {
+  return location.origin + location.pathname + routeHref(`/anime/${id}`);
+}
+
+function parseRoute(hash = location.hash) {
+  const raw = (hash || '').replace(/^#\/?/, '');
+  const [pathPart, queryPart] = raw.split('?');
+  const parts = (pathPart || '').split('/').filter(Boolean);
+  const qs = new URLSearchParams(queryPart || '');
+  const params = {};
+  qs.forEach((v, k) => { params[k] = v; });
+  if (params.page) params.page = Math.max(1, parseInt(params.page, 10) || 1);
+
+  if (parts[0] === 'anime' && parts[1]) return { name: 'anime', id: parts[1], params };
+  if (parts[0] === 'search') return { name: 'search', section: 'home', params };
+  const section = SECTIONS.includes(parts[0]) ? parts[0] : 'home';
+  return { name: 'section', section, params };
+}
+
+function showSection(section) {
+  elAll('.page-section').forEach(sec => {
+    const on = sec.dataset.section === section;
+    sec.hidden = !on;
+    sec.classList.toggle('active', on);
+  });
+  refs.navLinks.forEach(a => a.classList.toggle('active', a.dataset.section === section));
+}
+
+async function handleRoute() {
+  const route = parseRoute();
+
+  if (route.name === 'anime') {
+    // deep link straight to a detail page: make sure something sits behind the modal
+    if (router.base === null) applyBaseRoute({ name: 'section', section: 'home', params: {} }, '/home');
+    core.openAnime(route.id);
+    return;
+  }
+
+  if (refs.modal.getAttribute('aria-hidden') === 'false') closeDetailsModal();
+  const key = location.hash.replace(/^#/, '') || '/home';
+  if (key === router.base) return; // just closed the modal; feed is already there
+  applyBaseRoute(route, key);
+}
+
+function applyBaseRoute(route, key) {
+  router.base = key;
+  // leaving a section cancels whatever it still had queued
+  if (router.navAbort) router.navAbort.abort();
+  router.navAbort = new AbortController();
+  const opts = { signal: router.navAbort.signal };
+  state.page = route.params.page || 1;
+  state.feedType = route.section;
+  showSection(route.section);
+  applySectionPrefs(route.section);
+
+  if (route.name === 'search') {
+    performSearch(route.params, opts);
+    return;
+  }
+  if (route.section === 'home') {
+    refs.searchInput.value = '';
+    if (state.filters || state.feeds.home.length === 0) loadHome(opts);
+  } else if (route.section === 'mylist') {
+    state.listStatus = LIST_STATUSES.includes(route.params.status) ? route.params.status : 'all';
+    renderMyList();
+  } else if (route.section === 'stats') {
+    renderStatsDashboard();
+  } else if (route.section === 'snapshot') {
+    renderSnapshotView(route.params);
+  } else {
+    state.genreFilter = route.section === 'genres' ? selectedIds(route.params.genre) : [];
+    markSidebarGenres();
+    loadSection(route.section, route.params, opts);
+  }
+}
+
+/* Close the detail modal by leaving its route */
+function closeModalRoute() {
+  if (parseRoute().name !== 'anime') { closeDetailsModal(); return; }
+  if (router.inApp) history.back();
+  else location.replace('#' + (router.base || '/home'));
+}
+
+/* ==========================
+   THEME: mode (system/dark/light/contrast), accent colour, motion
+   Everything is driven by CSS custom properties + data attributes on <html>:
+   data-theme = resolved theme, data-theme-mode = user choice, data-motion = reduce | full.
+   window.AnimeRatTheme = { getTheme, setTheme } for userscripts and extensions, like window.AnimeRat.
+   ========================== */
+const THEME_KEY = 'theme';
+const THEME_MODES = ['system', 'dark', 'light', 'contrast']; // labels: theme.<mode>
+const MOTION_MODES = ['system', 'reduce', 'full']; // labels: motion.<mode>
+const ACCENT_PRESETS = ['#ff63b8', '#9b7bff', '#3fb3ff', '#2cc68f', '#ffb020', '#ff5a4f'];
+const THEME_COLORS = { dark: '#0b0710', light: '#f8f4fa', contrast: '#000000' }; // <meta name="theme-color">
+
+let themePrefs = Object.assign({ mode: 'system', accent: null, motion: 'system' }, core.storeGet(THEME_KEY, {}));
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function resolvedTheme() {
+  if (THEME_MODES.includes(themePrefs.mode) && themePrefs.mode !== 'system') return themePrefs.mode;
+  return colorSchemeQuery && colorSchemeQuery.matches ? 'light' : 'dark';
+}
+
+function prefersReducedMotion() {
+  if (themePrefs.motion === 'reduce') return true;
+  if (themePrefs.motion === 'full') return false;
+  return !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/* Darken (amt < 0) or lighten (amt > 0) by a fraction */
+function shadeHex(hex, amt) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return hex;
+  return '#' + rgb.map(c => Math.round(amt < 0 ? c * (1 + amt) : c + (255 - c) * amt).toString(16).padStart(2, '0')).join('');
+}
+
+/* Black or white text, whichever reads better on the accent */
+function onAccentColor(hex) {
+  const [r, g, b] = hexToRgb(hex) || [255, 255, 255];
+  return (0.299 * r + 0.587 * g + 0.114 * b) > 160 ? '#000000' : '#ffffff';
+}
+
+function applyTheme() {
+  const root = document.documentElement;
+  const theme = resolvedTheme();
+  root.dataset.theme = theme;
+  root.dataset.themeMode = themePrefs.mode;
+  root.dataset.motion = prefersReducedMotion() ? 'reduce' : 'full';
+  const accent = hexToRgb(themePrefs.accent) ? themePrefs.accent : null;
+  if (accent) {
+    const accent2 = shadeHex(accent, theme === 'light' ? -0.18 : -0.12);
+    root.style.setProperty('--accent', accent);
+    root.style.setProperty('--accent-2', accent2);
+    root.style.setProperty('--accent-rgb', hexToRgb(accent).join(','));
+    root.style.setProperty('--accent-2-rgb', hexToRgb(accent2).join(','));
+    root.style.setProperty('--on-accent', onAccentColor(accent));
+  } else {
+    ['--accent', '--accent-2', '--accent-rgb', '--accent-2-rgb', '--on-accent'].forEach(v => root.style.removeProperty(v));
+  }
+  const meta = el('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', THEME_COLORS[theme]);
+  if (refs.themeToggle) refs.themeToggle.setAttribute('aria-label', `${t('settings.appearance')}: ${t('theme.' + themePrefs.mode)}`);
+  // SVG charts bake colours in at render time
+  if (router.base === '/stats') renderStatsDashboard();
+}
+
+/**
+ * Change any of the saved preferences; unknown keys and invalid values are ignored.
+ * @param {{ mode?: 'system'|'dark'|'light'|'contrast', accent?: ?string, motion?: 'system'|'reduce'|'full' }} patch
+ *   accent is a '#rrggbb' colour, or null for the theme's default
+ */
+function setTheme(patch = {}) {
+  const next = {};
+  if (THEME_MODES.includes(patch.mode)) next.mode = patch.mode;
+  if (MOTION_MODES.includes(patch.motion)) next.motion = patch.motion;
+  if (patch.accent === null || hexToRgb(patch.accent)) next.accent = patch.accent;
+  themePrefs = Object.assign({}, themePrefs, next);
+  core.storeSet(THEME_KEY, themePrefs);
+  applyTheme();
+  renderThemePanel();
+}
+
+/** @returns {{ mode, accent, motion, resolved: 'dark'|'light'|'contrast', reducedMotion: boolean }} saved prefs plus what they resolve to */
+function getTheme() {
+  return Object.assign({ resolved: resolvedTheme(), reducedMotion: prefersReducedMotion() }, themePrefs);
+}
+
+window.AnimeRatTheme = { getTheme, setTheme };
+
+function renderThemePanel() {
+  const panel = refs.themePanel;
+  if (!panel) return;
+  panel.querySelectorAll('input[name="themeMode"]').forEach(r => { r.checked = r.value === themePrefs.mode; });
+  refs.themeMotion.value = themePrefs.motion;
+  const current = (themePrefs.accent || getComputedStyle(document.documentElement).getPropertyValue('--accent').trim()).toLowerCase();
+  refs.themeAccents.querySelectorAll('button[data-accent]').forEach(b => b.setAttribute('aria-pressed', String(b.dataset.accent === current)));
+  if (hexToRgb(current)) refs.themeAccentCustom.value = current;
+}
+
+function toggleThemePanel(open) {
+  if (!refs.themePanel) return;
+  const show = typeof open === 'boolean' ? open : refs.themePanel.hidden;
+  refs.themePanel.hidden = !show;
+  refs.themeToggle.setAttribute('aria-expanded', String(show));
+  if (show) { renderThemePanel(); (refs.themePanel.querySelector('input:checked') || refs.themePanel.querySelector('input')).focus(); }
+}
+
+function initTheme() {
+  applyTheme();
+  const follow = () => { if (themePrefs.mode === 'system' || themePrefs.motion === 'system') applyTheme(); };
+  [colorSchemeQuery, reducedMotionQuery].forEach(q => {
+    if (!q) return;
+    if (q.addEventListener) q.addEventListener('change', follow);
+    else if (q.addListener) q.addListener(follow); // older Safari
+  });
+  window.addEventListener('storage', (e) => {
+    if (e.key !== 'animerat:' + THEME_KEY) return;
+    themePrefs = Object.assign({ mode: 'system', accent: null, motion: 'system' }, core.storeGet(THEME_KEY, {}));
+    applyTheme();
+    renderThemePanel();
+  });
+  if (!refs.themeToggle || !refs.themePanel) return;
+
+  ACCENT_PRESETS.forEach(hex => {
+    const b = create('button', { type: 'button', class: 'accent-swatch', 'data-accent': hex, 'aria-label': `${t('settings.accent')} ${hex}`, 'aria-pressed': 'false' });
+    b.style.setProperty('--swatch', hex);
+    refs.themeAccents.appendChild(b);
+  });
+  MOTION_MODES.forEach(k => refs.themeMotion.appendChild(create('option', { value: k, 'data-i18n': 'motion.' + k }, t('motion.' + k))));
+
+  refs.themeToggle.addEventListener('click', (e) => { e.stopPropagation(); toggleThemePanel(); });
+  refs.themePanel.addEventListener('change', (e) => {
+    if (e.target.name === 'themeMode') setTheme({ mode: e.target.value });
+    else if (e.target === refs.themeMotion) setTheme({ motion: e.target.value });
+    else if (e.target === refs.themeAccentCustom) setTheme({ accent: e.target.value.toLowerCase() });
+  });
+  refs.themePanel.addEventListener('click', (e) => {
+    const sw = e.target.closest('button[data-accent]');
+    if (sw) setTheme({ accent: sw.dataset.accent });
+    if (e.target.closest('[data-action="reset-accent"]')) setTheme({ accent: null });
+  });
+  refs.themePanel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { e.stopPropagation(); toggleThemePanel(false); refs.themeToggle.focus(); }
+  });
+  document.addEventListener('click', (e) => {
+    if (!refs.themePanel.hidden && !refs.themePanel.contains(e.target)) toggleThemePanel(false);
+  });
+}
+
+/* ==========================
+   OFFLINE: service worker + indicator
+   ========================== */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+  navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed', err));
+}
+
+function updateOnlineStatus() {
+  const offline = navigator.onLine === false;
+  document.body.classList.toggle('is-offline', offline);
+  if (refs.offlineBadge) refs.offlineBadge.hidden = !offline;
+}
+
+/* ==========================
+   INIT: event wiring
+   ========================== */
+/* Renderers subscribe to the core; nothing in core.js knows about the DOM */
+function bindCore() {
+  core.on('feed:loaded', onFeedLoaded);
+  core.on('list:changed', onListChanged);
+  core.on('modal:open', e => openDetailsModal(e.id));
+  core.on('storage:error', e => { if (e.key === MYLIST_KEY) toast(t('mylist.saveFailed')); });
+}
+
+function init() {
+  if (refs.yearSpan) refs.yearSpan.textContent = new Date().getFullYear();
+  initLanguageControls();
+  initTheme();
+  bindCore();
+
+  // search
+  refs.searchInput.addEventListener('input', onSearchInput);
+  refs.searchInput.addEventListener('keydown', onSearchKeydown);
+  refs.searchInput.addEventListener('focus', () => { if (!refs.searchInput.value.trim()) showRecentSearches(); });
+  refs.searchInput.addEventListener('blur', () => { cancelSuggest(); closeSuggestions(); });
+
+  initDataSourceControls();
+  initAdvancedSearch();
+  initFeedControls();
+  initSeasonControls();
+  initListImportExport();
+  initCardMenu();
+  initReportDialog();
+  initPicker();
+  initReminders();
+
+  // modal
+  refs.modal.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="close"]')) closeModalRoute();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && refs.modal.getAttribute('aria-hidden') === 'false') { closeCardMenu(false); closeModalRoute(); }
+  });
+
+  // navigation
+  refs.navLinks.forEach(btn => btn.addEventListener('click', () => navigate('/' + btn.dataset.section)));
+  refs.ctaTop.addEventListener('click', () => navigate('/top'));
+  refs.ctaAiring.addEventListener('click', () => navigate('/airing'));
+  document.addEventListener('click', (e) => {
+    // in-app links (pager, genre chips) count as app navigation for history.back()
+    if (e.target.closest('a[href^="#/"]')) router.inApp = true;
+  });
+  window.addEventListener('hashchange', handleRoute);
+  if (refs.modalAddList) refs.modalAddList.addEventListener('click', () => handleAddToMyList(state.modalAnime));
+  if (refs.reviewSort) refs.reviewSort.addEventListener('change', () => renderReviews(state.reviews));
+  if (refs.cancelEditReview) refs.cancelEditReview.addEventListener('click', cancelReviewEdit);
+  window.addEventListener('storage', (e) => {
+    // reviews written in another tab
+    const id = refs.modal.dataset.animeId;
+    if (e.key === 'animerat:' + REVIEWS_KEY && id && getReviewBackend() === localReviewBackend) {
+      state.reviews = localReviewBackend.get(id);
+      renderReviews(state.reviews);
+    }
+  });
+  if (refs.modalTabs) {
+    refs.modalTabs.addEventListener('click', (e) => {
+      const b = e.target.closest('[data-tab]');
+      if (b) activateModalTab(b.dataset.tab);
+    });
+    // arrow keys move between tabs (WAI-ARIA tabs pattern)
+    refs.modalTabs.addEventListener('keydown', (e) => {
+      if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+      const tabs = elAll('#modalTabs [data-tab]');
+      const i = tabs.indexOf(document.activeElement);
+      if (i < 0) return;
+      const next = tabs[(i + (e.key === 'ArrowRight' ? 1 : -1) + tabs.length) % tabs.length];
+      next.focus();
+      activateModalTab(next.dataset.tab);
+    });
+  }
+
+  // keep other tabs in sync with MyList edits
+  window.addEventListener('storage', (e) => {
+    if (e.key === 'animerat:' + MYLIST_KEY) core.reloadList();
+  });
+
+  // offline
+  window.addEventListener('online', () => { updateOnlineStatus(); toast(t('net.online')); });
+  window.addEventListener('offline', () => { updateOnlineStatus(); toast(t('net.offline')); });
+  updateOnlineStatus();
+  registerServiceWorker();
+  core.pruneCache();
+
+  renderMyList();
+  pullRemoteMyList();
+  handleRoute();
+  renderAiringToday();
+  renderSidebarGenres();
+}
+
+init();
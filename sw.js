@@ -0,0 +1,122 @@
+/* sw.js — AnimeRat service worker
+   - Precaches the app shell (index.html, core.js, i18n.js, script.js, style.css)
+   - Jikan JSON: stale-while-revalidate
+   - Cover images: cache-first with an LRU size cap
+   - Episode reminder notification clicks
+   Bump VERSION when the shell changes so old caches get dropped.
+*/
+
+const VERSION = 'v3';
+const SHELL_CACHE = 'animerat-shell-' + VERSION;
+const API_CACHE = 'animerat-api-' + VERSION;
+const IMG_CACHE = 'animerat-img-' + VERSION;
+const IMG_CACHE_MAX = 300; // entries
+const SHELL_FILES = ['./', 'index.html', 'core.js', 'core.mjs', 'i18n.js', 'script.js', 'style.css'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, API_CACHE, IMG_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('animerat-') && !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (url.hostname === 'api.jikan.moe') {
+    event.respondWith(staleWhileRevalidate(req, API_CACHE, event));
+  } else if (req.destination === 'image') {
+    event.respondWith(cacheFirstImage(req));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(shell(req, event));
+  }
+});
+
+/* Episode reminders: focus an open tab on the anime, or open one */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || './';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(list => {
+      const client = list.find(c => new URL(c.url).origin === self.location.origin);
+      // navigate() rejects for tabs this worker doesn't control yet
+      if (client) return client.navigate(url).then(c => (c || client).focus()).catch(() => client.focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
+/* ==========================
+   STRATEGIES
+   ========================== */
+
+/* Serve cached copy right away, refresh it in the background */
+async function staleWhileRevalidate(req, cacheName, event) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(req);
+  const network = fetch(req).then(res => {
+    // don't poison the cache with 429s / errors
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+/* App shell: network first for navigations (fresh deploys), cache as offline fallback */
+async function shell(req, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  if (req.mode === 'navigate') {
+    try {
+      const res = await fetch(req);
+      if (res.ok) event.waitUntil(cache.put('index.html', res.clone()));
+      return res;
+    } catch (err) {
+      return (await cache.match('index.html')) || Response.error();
+    }
+  }
+  return staleWhileRevalidate(req, SHELL_CACHE, event);
+}
+
+/* Images: cache-first; re-put on hit so the key order tracks recency (LRU) */
+async function cacheFirstImage(req) {
+  const cache = await caches.open(IMG_CACHE);
+  const cached = await cache.match(req);
+  if (cached) {
+    await cache.delete(req);
+    await cache.put(req, cached.clone());
+    return cached;
+  }
+  try {
+    const res = await fetch(req);
+    // cross-origin covers come back opaque (status 0); still worth keeping
+    if (res.ok || res.type === 'opaque') {
+      await cache.put(req, res.clone());
+      trimCache(cache, IMG_CACHE_MAX);
+    }
+    return res;
+  } catch (err) {
+    return Response.error();
+  }
+}
+
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  const excess = keys.length - max;
+  for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+}
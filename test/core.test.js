@@ -0,0 +1,134 @@
+/* core.test.js — the headless core against a stubbed fetch and in-memory storage
+   Run with `npm test` (node --test); no browser or network needed. */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCore, memoryStorage, STORAGE_PREFIX, API_BASE, ANILIST_GRAPHQL } = require('../core.js');
+
+/* Minimal Response: json() + headers.get() is all the scheduler reads */
+function reply(body, status = 200, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: { get: k => (k in headers ? headers[k] : null) }, json: async () => body };
+}
+
+/* fetch stub that answers from a list of handlers and records every URL it saw */
+function stubFetch(handler) {
+  const calls = [];
+  const fetch = async (url, init) => { calls.push(url); return handler(url, init, calls.length); };
+  fetch.calls = calls;
+  return fetch;
+}
+
+const anime = (id, extra = {}) => Object.assign({ mal_id: id, title: 'Anime ' + id, images: { jpg: { image_url: 'i' + id } }, genres: [] }, extra);
+const page = (items, hasNext = false) => ({ data: items, pagination: { has_next_page: hasNext } });
+
+test('loadFeed resolves and emits feed:loaded with deduped items', async () => {
+  const fetch = stubFetch(() => reply(page([anime(1), anime(2), anime(1)], true)));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  const seen = [];
+  core.on('feed:loaded', e => seen.push(e));
+  const event = await core.loadFeed('top', { page: 1 }, { target: 'feed' });
+  assert.equal(seen.length, 1);
+  assert.equal(seen[0], event);
+  assert.equal(event.feed, 'top');
+  assert.equal(event.target, 'feed');
+  assert.equal(event.hasNext, true);
+  assert.deepEqual(event.items.map(a => a.mal_id), [1, 2]);
+  assert.match(fetch.calls[0], /\/top\/anime\?page=1&limit=18$/);
+});
+
+test('scheduler retries a 429 after Retry-After', async () => {
+  const fetch = stubFetch((url, init, n) => (n === 1 ? reply({}, 429, { 'Retry-After': '0' }) : reply(page([anime(5)]))));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  const res = await core.scheduleRequest(API_BASE + '/anime/5');
+  assert.equal(fetch.calls.length, 2);
+  assert.equal(res.data[0].mal_id, 5);
+});
+
+test('scheduler dedupes identical requests in flight', async () => {
+  const fetch = stubFetch(() => reply(page([anime(7)])));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  const url = API_BASE + '/anime/7';
+  const [a, b] = await Promise.all([core.scheduleRequest(url), core.scheduleRequest(url)]);
+  assert.equal(fetch.calls.length, 1);
+  assert.equal(a, b);
+});
+
+test('expired cache is served when the fetch fails', async () => {
+  const storage = memoryStorage();
+  storage.setItem(STORAGE_PREFIX + 'top:1:10', JSON.stringify({ t: 1, v: page([anime(9)]) }));
+  const fetch = stubFetch(() => Promise.reject(new TypeError('Failed to fetch')));
+  const core = createCore({ fetch, storage, isOnline: () => false });
+  const res = await core.getTopAnime(1, 10);
+  assert.equal(fetch.calls.length, 1);
+  assert.deepEqual(res.data.map(a => a.mal_id), [9]);
+});
+
+test('a failed fetch without any cached copy rejects', async () => {
+  const fetch = stubFetch(() => Promise.reject(new TypeError('Failed to fetch')));
+  const core = createCore({ fetch, storage: memoryStorage(), isOnline: () => false });
+  await assert.rejects(core.getTopAnime(1, 10), /Offline/);
+});
+
+test('MyList edits emit list:changed and finishing the last episode completes the entry', () => {
+  const core = createCore({ fetch: stubFetch(() => reply({})), storage: memoryStorage() });
+  const events = [];
+  core.on('list:changed', e => events.push(e));
+
+  const entry = core.addToMyList(anime(3, { episodes: 12 }), 'watching');
+  assert.equal(entry.status, 'watching');
+  assert.equal(events[0].type, 'add');
+  assert.equal(events[0].entries[0].id, entry.id);
+
+  core.updateListEntry(3, { episodesWatched: 11 });
+  assert.equal(core.listGet(3).status, 'watching');
+  const done = core.updateListEntry(3, { episodesWatched: 12 });
+  assert.equal(done.status, 'completed');
+  assert.ok(done.finishDate);
+  assert.deepEqual(events.map(e => e.type), ['add', 'update', 'update']);
+  assert.equal(events[2].entries[0].status, 'completed');
+});
+
+test('providerCall falls back to Jikan when AniList fails', async () => {
+  const fetch = stubFetch(url => (url === ANILIST_GRAPHQL ? reply({}, 500) : reply(page([anime(4)]))));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  core.setDataSource({ provider: 'anilist', fallback: true });
+  const res = await core.getTopAnime(1, 10);
+  assert.deepEqual(fetch.calls.map(u => (u === ANILIST_GRAPHQL ? 'anilist' : 'jikan')), ['anilist', 'jikan']);
+  assert.equal(res.data[0].mal_id, 4);
+  assert.equal(res.data[0].provider, 'jikan');
+});
+
+test('providerCall surfaces the primary error when fallback is off', async () => {
+  const fetch = stubFetch(url => (url === ANILIST_GRAPHQL ? reply({}, 500) : reply(page([anime(4)]))));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  core.setDataSource({ provider: 'anilist', fallback: false });
+  await assert.rejects(core.getTopAnime(1, 10), /HTTP 500/);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test('AniList serves tabs other than recommendations from Jikan, even with fallback off', async () => {
+  const fetch = stubFetch(() => reply({ data: [{ character: { mal_id: 9, name: 'Levi' } }] }));
+  const core = createCore({ fetch, storage: memoryStorage() });
+  core.setDataSource({ provider: 'anilist', fallback: false });
+  const res = await core.getAnimePart(5, 'characters');
+  assert.equal(fetch.calls.length, 1);
+  assert.match(fetch.calls[0], /\/anime\/5\/characters$/);
+  assert.equal(res.data[0].character.name, 'Levi');
+});
+
+test('fetchAllPages walks every page until has_next_page is false', async () => {
+  const core = createCore({ fetch: stubFetch(() => reply({})), storage: memoryStorage() });
+  const pages = [];
+  const res = await core.fetchAllPages(async n => { pages.push(n); return page([anime(n)], n < 9); });
+  assert.deepEqual(pages, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(res.data.length, 9);
+});
+
+test('searchLocal matches any cached title and prefers the requested title type', () => {
+  const core = createCore({ fetch: stubFetch(() => reply({})), storage: memoryStorage() });
+  core.cacheSet('top:1:10', page([anime(7, { title: 'Shingeki no Kyojin', title_english: 'Attack on Titan' })]));
+  const [hit] = core.searchLocal('atack on', 5, 'English');
+  assert.equal(hit.anime.mal_id, 7);
+  assert.equal(hit.match.type, 'English');
+  assert.equal(core.searchLocal('shingeki', 5)[0].match.score, 80);
+  assert.deepEqual(core.searchLocal('zzz'), []);
+});